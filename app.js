@@ -2,8 +2,9 @@
 InfernoDrift2 -- static Three.js open-arena racer (no build)
 Run: `python -m http.server` then open http://localhost:8000
 Controls (desktop): W/Up throttle, S/Down brake, A/Left steer left, D/Right steer right, Space drift (charge), Shift boost, F fullscreen, Esc pause, ~ debug.
-Controls (mobile): steer with left pad, hold Drift then tap Boost, pause via on-screen button.
-Maps: see MAPS; each is an arena {size, hazards[], boosts[]} (props are auto-scattered). Add entries to MAPS to create more arenas.
+Controls (gamepad): left stick steer, RT/LT analog throttle/brake, RB/B drift, LB/X boost, Start pause.
+Controls (mobile): analog stick steers (optionally throttle/brake by pushing up/down), hold Drift then tap Boost, pause via on-screen button.
+Maps: see MAPS; each is an arena {size, hazards[] (lava: builds heat, overheat ends the run), boosts[] (vent heat), optional checkpoints[] (ordered lap gates {x, z, yaw, w}; gate 0 is start/finish)} (props are auto-scattered). Add entries to MAPS, or build arenas in the in-game editor (saved to localStorage as custom maps).
 Toggles: fullscreen button or F, gfx setting (high/med/low), debug (~). Click/tap once to focus for input capture.
 ENGINE CHOICE: Three.js real 3D (vendored, no CDN) to keep this static and lightweight.
 BASELINE AUDIT (before fixes):
@@ -15,6 +16,7 @@ BASELINE AUDIT (before fixes):
 /* CURRENT AUDIT:
 - Speed: update() integrates game.vel with (CFG.accel/brake) and drag; no hard cap (CFG.maxSpeed is only a very high soft reference).
 - Steering: readInput() returns steer axis where left is positive and right is negative; update() applies steer -> yawVel -> yaw; forward = (sin(yaw), 0, cos(yaw)).
+- Timing: tick() feeds update() fixed CFG.step slices from an accumulator; gameplay randomness uses the seeded rand() (game.seed per run).
 - HUD: updateHUD() updates DOM (#hud*). Blur was caused by HUD being behind the topbar backdrop-filter due to stacking context; fixed in CSS (see style.css).
 */
 
@@ -24,13 +26,30 @@ BASELINE AUDIT (before fixes):
   /* Helpers */
   const clamp = (v, min, max) => Math.min(max, Math.max(min, v));
   const lerp = (a, b, t) => a + (b - a) * clamp(t, 0, 1);
-  const pick = arr => arr[Math.floor(Math.random() * arr.length)] || arr[0];
+  const pick = arr => arr[Math.floor(rand() * arr.length)] || arr[0];
+
+  // Seeded PRNG (mulberry32). Every gameplay roll goes through rand() so a seed plus an input
+  // stream reproduces a run exactly; purely visual noise (particles, shake, textures) keeps Math.random().
+  function makeRng(seed) {
+    let a = seed >>> 0;
+    return () => {
+      a = (a + 0x6D2B79F5) >>> 0;
+      let t = a;
+      t = Math.imul(t ^ (t >>> 15), t | 1);
+      t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+      return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+  }
+  let rng = makeRng(1);
+  const rand = () => rng();
+  const newSeed = () => (Math.random() * 4294967296) >>> 0;
 
   const ASSETS = { groundTex: null, skyTex: null, lavaTex: null, particleTex: null };
 
   /* Config */
   const CFG = {
     dtMax: 0.05,
+    step: 1 / 60,
     // No hard top-speed cap: keep accelerating (drag still prevents infinity in practice).
     maxSpeed: 9999,
     accel: 52,
@@ -53,7 +72,6 @@ BASELINE AUDIT (before fixes):
     pickupMax: 6,
     pickupRange: 11,
     arenaBounce: 0.45,
-    dprCap: 2,
     gravity: 26,
     rampLaunchScale: 0.9,
     steerRefSpeed: 140,
@@ -66,7 +84,62 @@ BASELINE AUDIT (before fixes):
     rivalAccel: 85,
     rivalDrag: 0.16,
     rivalMaxFactor: 0.92,
+    hunterSlowSpeed: 45,
+    lavaLookahead: 0.7,
+    lavaMargin: 8,
+    carRadius: 1.45,
+    carRestitution: 0.4,
+    rivalHitSpeed: 10,
+    hitInvuln: 1.0,
+    boostCell: 60,
+    heatSink: 60,
+    magnetRange: 2.5,
+    empRadius: 70,
+    empStun: 2.5,
+    perkSlots: 3,
+    heatGain: 38,
+    heatCool: 14,
+    heatVent: 60,
+    padBoost: 45,
+    padImpulse: 38,
+    padCooldown: 4,
+    ghostHz: 10,
+    ghostMaxSamples: 1800,
+    ghostRandomKeep: 6,
+    touchDeadzone: 0.08,
+    aiChaseRange: 28,
+    aiEscapeRange: 75,
+    aiMemory: 120,
+    aiSectors: 8,
+    govBudget: 1 / 50,
+    govHeadroom: 0.7,
+    govDropAfter: 2,
+    govRaiseAfter: 5,
+    lavaVoices: 4,
+    soundSpeed: 340,
+    musicDangerRange: 80,
+  };
+
+  // Graphics tiers for the Graphics setting. props is the share of scattered rocks/crystals drawn
+  // (their placement is always rolled in full so gameplay rand() stays identical across tiers).
+  const QUALITY = {
+    high: { antialias: true, shadows: true, shadowType: 'PCFSoftShadowMap', shadowSize: 2048, dprCap: 2, particles: 1400, props: 1, fogFar: 1200, speedFx: 220 },
+    medium: { antialias: true, shadows: true, shadowType: 'PCFShadowMap', shadowSize: 1024, dprCap: 1.5, particles: 800, props: 0.6, fogFar: 950, speedFx: 140 },
+    low: { antialias: false, shadows: false, shadowType: 'BasicShadowMap', shadowSize: 512, dprCap: 1, particles: 350, props: 0.3, fogFar: 700, speedFx: 60 },
   };
+
+  // Frame-time governor ladder, cheapest visual loss first: render scale, then prop shadows
+  // (the instanced rocks/crystals dominate the shadow pass), then all shadows, then particle spawns.
+  const GOVERNOR_STEPS = [
+    { scale: 1, propShadows: true, shadows: true, particles: 1 },
+    { scale: 0.85, propShadows: true, shadows: true, particles: 1 },
+    { scale: 0.7, propShadows: true, shadows: true, particles: 1 },
+    { scale: 0.55, propShadows: true, shadows: true, particles: 1 },
+    { scale: 0.55, propShadows: false, shadows: true, particles: 1 },
+    { scale: 0.55, propShadows: false, shadows: false, particles: 1 },
+    { scale: 0.55, propShadows: false, shadows: false, particles: 0.5 },
+    { scale: 0.5, propShadows: false, shadows: false, particles: 0.25 },
+  ];
 
   /* Maps (arenas) */
   const MAPS = [
@@ -93,6 +166,13 @@ BASELINE AUDIT (before fixes):
       rings: [
         { x: 0, z: 0, inner: 70, outer: 100, y: 6 },
       ],
+      checkpoints: [
+        { x: 0, z: 190, yaw: -1.57, w: 50 },
+        { x: -240, z: 80, yaw: -2.83, w: 50 },
+        { x: -150, z: -200, yaw: 2.2, w: 50 },
+        { x: 150, z: -200, yaw: 0.94, w: 50 },
+        { x: 240, z: 80, yaw: -0.31, w: 50 },
+      ],
     },
     {
       id: 'ridge',
@@ -113,6 +193,13 @@ BASELINE AUDIT (before fixes):
       rings: [
         { x: 160, z: 220, inner: 55, outer: 78, y: 7 },
       ],
+      checkpoints: [
+        { x: 0, z: 310, yaw: -1.57, w: 50 },
+        { x: -250, z: 80, yaw: -2.83, w: 50 },
+        { x: -180, z: -250, yaw: 2.2, w: 50 },
+        { x: 180, z: -250, yaw: 0.94, w: 50 },
+        { x: 300, z: 100, yaw: -0.31, w: 50 },
+      ],
     },
     {
       id: 'switch',
@@ -130,6 +217,13 @@ BASELINE AUDIT (before fixes):
       platforms: [
         { x: 0, z: 0, w: 120, l: 120, y: 6, yaw: 0 },
       ],
+      checkpoints: [
+        { x: 0, z: 220, yaw: -1.57, w: 50 },
+        { x: -210, z: 70, yaw: -2.83, w: 50 },
+        { x: -130, z: -170, yaw: 2.2, w: 50 },
+        { x: 150, z: -200, yaw: 0.94, w: 50 },
+        { x: 210, z: 70, yaw: -0.31, w: 50 },
+      ],
     },
     {
       id: 'dunes',
@@ -147,6 +241,13 @@ BASELINE AUDIT (before fixes):
       rings: [
         { x: -240, z: -120, inner: 75, outer: 102, y: 8 },
       ],
+      checkpoints: [
+        { x: 0, z: 380, yaw: -1.57, w: 50 },
+        { x: -370, z: 120, yaw: -2.83, w: 50 },
+        { x: -230, z: -310, yaw: 2.2, w: 50 },
+        { x: 230, z: -310, yaw: 0.94, w: 50 },
+        { x: 370, z: 120, yaw: -0.31, w: 50 },
+      ],
     },
     {
       id: 'spire',
@@ -163,6 +264,13 @@ BASELINE AUDIT (before fixes):
       platforms: [
         { x: 0, z: 260, w: 160, l: 90, y: 10, yaw: 0.25 },
       ],
+      checkpoints: [
+        { x: 0, z: 340, yaw: -1.57, w: 50 },
+        { x: -240, z: 80, yaw: -2.83, w: 50 },
+        { x: -150, z: -200, yaw: 2.2, w: 50 },
+        { x: 150, z: -200, yaw: 0.94, w: 50 },
+        { x: 240, z: 80, yaw: -0.31, w: 50 },
+      ],
     },
     {
       id: 'endless',
@@ -186,16 +294,122 @@ BASELINE AUDIT (before fixes):
       rings: [
         { x: 0, z: 0, inner: 110, outer: 155, y: 9 },
       ],
+      checkpoints: [
+        { x: 0, z: 380, yaw: -1.57, w: 50 },
+        { x: -430, z: 140, yaw: -2.83, w: 50 },
+        { x: -270, z: -370, yaw: 2.2, w: 50 },
+        { x: 270, z: -370, yaw: 0.94, w: 50 },
+        { x: 430, z: 140, yaw: -0.31, w: 50 },
+      ],
     },
   ];
 
+  /* Editor item kinds */
+  // Defaults for newly placed items plus [min, max] for each editable field (x/z are bounded by the arena size).
+  const EDITOR_KINDS = {
+    hazards: { label: 'Lava', make: (x, z) => ({ x, z, r: 60 }), fields: { r: [10, 200] } },
+    boosts: { label: 'Boost', make: (x, z) => ({ x, z, r: 50 }), fields: { r: [15, 150] } },
+    ramps: { label: 'Ramp', make: (x, z) => ({ x, z, w: 18, l: 44, h: 7, yaw: 0 }), fields: { w: [6, 60], l: [12, 120], h: [1, 20], yaw: [-Math.PI, Math.PI] } },
+    platforms: { label: 'Platform', make: (x, z) => ({ x, z, w: 90, l: 70, y: 9, yaw: 0 }), fields: { w: [20, 300], l: [20, 300], y: [2, 30], yaw: [-Math.PI, Math.PI] } },
+    rings: { label: 'Ring', make: (x, z) => ({ x, z, inner: 60, outer: 85, y: 7 }), fields: { inner: [20, 200], outer: [30, 260], y: [2, 30] } },
+    checkpoints: { label: 'Gate', make: (x, z) => ({ x, z, yaw: 0, w: 50 }), fields: { w: [20, 120], yaw: [-Math.PI, Math.PI] } },
+  };
+  const MAP_SIZE_RANGE = [200, 1000];
+  const MAP_ITEM_MAX = 48;
+
+  /* Arena generator tuning (per difficulty) */
+  // size: arena radius; lava: count and [min, max] radius; pads: ramp+platform pairs; jumps: free ramps; gap: ramp-to-platform jump distance.
+  const GEN_PRESETS = {
+    Easy: { size: 460, lava: 2, lavaR: [50, 75], pads: 1, jumps: 1, boosts: 3, ring: false, gap: 0 },
+    Medium: { size: 540, lava: 3, lavaR: [55, 90], pads: 2, jumps: 2, boosts: 2, ring: true, gap: 0 },
+    Hard: { size: 600, lava: 5, lavaR: [60, 100], pads: 2, jumps: 3, boosts: 2, ring: true, gap: 10 },
+  };
+  const DIFFICULTIES = ['Easy', 'Medium', 'Hard', 'Technical', 'Endless'];
+
+  /* Run modes (attract loop always uses free) */
+  const MODES = [
+    { id: 'free', name: 'Free Run', desc: 'No clock. Drive until you burn out.' },
+    { id: 'attack', name: 'Score Attack', desc: '90 seconds to post your best score.', timeLimit: 90 },
+    { id: 'survival', name: 'Survival', desc: 'Three rival hits and the run is over.', lives: 3 },
+    { id: 'sprint', name: 'Checkpoint Sprint', desc: 'One lap through every gate in order; fastest time wins.', beacons: 6, rank: 'time' },
+  ];
+
+  /* Key bindings: two slots per action, keys stored as lower-cased KeyboardEvent.key */
+  const BIND_ACTIONS = [
+    { id: 'throttle', label: 'Throttle' },
+    { id: 'brake', label: 'Brake' },
+    { id: 'left', label: 'Steer left' },
+    { id: 'right', label: 'Steer right' },
+    { id: 'drift', label: 'Drift' },
+    { id: 'boost', label: 'Boost' },
+    { id: 'pause', label: 'Pause' },
+    { id: 'fullscreen', label: 'Fullscreen' },
+    { id: 'debug', label: 'Debug' },
+  ];
+  const BIND_PRESETS = {
+    wasd: { throttle: ['w', ''], brake: ['s', ''], left: ['a', ''], right: ['d', ''], drift: [' ', ''], boost: ['shift', ''], pause: ['escape', ''], fullscreen: ['f', ''], debug: ['~', ''] },
+    arrows: { throttle: ['arrowup', ''], brake: ['arrowdown', ''], left: ['arrowleft', ''], right: ['arrowright', ''], drift: [' ', ''], boost: ['shift', ''], pause: ['escape', ''], fullscreen: ['f', ''], debug: ['~', ''] },
+  };
+
+  /* Pickups */
+  // weight = relative spawn odds; dur = seconds a timed effect lasts (shown as a HUD chip while active).
+  const PICKUPS = [
+    { id: 'coin', name: 'Coin', weight: 10, color: 0xff9f40, geo: () => new THREE.OctahedronGeometry(0.7) },
+    { id: 'boost', name: 'Boost Cell', weight: 4, color: 0x4fd2ff, geo: () => new THREE.BoxGeometry(0.8, 1.1, 0.8) },
+    { id: 'heatsink', name: 'Heat Sink', weight: 3, color: 0x9ff3ff, geo: () => new THREE.CylinderGeometry(0.55, 0.55, 1.0, 10) },
+    { id: 'shield', name: 'Shield', weight: 2, color: 0x7dffb0, dur: 6, geo: () => new THREE.SphereGeometry(0.65, 14, 10) },
+    { id: 'mult', name: 'Score x2', weight: 2, color: 0xffe14d, dur: 10, geo: () => new THREE.TorusGeometry(0.5, 0.2, 8, 16) },
+    { id: 'magnet', name: 'Magnet', weight: 2, color: 0xff5ad1, dur: 10, geo: () => new THREE.ConeGeometry(0.6, 1.1, 4) },
+    { id: 'emp', name: 'EMP', weight: 1, color: 0xa08cff, geo: () => new THREE.IcosahedronGeometry(0.7) },
+  ];
+
+  /* Rival types */
+  // accel scales CFG.rivalAccel; racers intercept, blockers guard the next pickup, hunters pounce when you slow down.
+  const RIVAL_TYPES = {
+    racer: { color: 0xff6b74, accent: 0x2a0f14, accel: 1.0, hum: 74 },
+    blocker: { color: 0x5aa8ff, accent: 0x0f1c2e, accel: 0.9, hum: 52 },
+    hunter: { color: 0xc07bff, accent: 0x22102e, accel: 1.05, hum: 63 },
+  };
+
+  /* Music */
+  // Four-bar loop (Am F C G as MIDI triads); the menu plays the same loop at the calm tempo with pad and bells only.
+  const MUSIC = {
+    chords: [[57, 60, 64], [53, 57, 60], [48, 52, 55], [55, 59, 62]],
+    runBpm: 124,
+    calmBpm: 76,
+    lookahead: 0.15,
+  };
+
   /* Perks */
+  // weight = relative odds of being offered after a run.
+  const RARITIES = {
+    common: { name: 'Common', weight: 6, color: '#c9d3e6' },
+    rare: { name: 'Rare', weight: 3, color: '#5aa8ff' },
+    epic: { name: 'Epic', weight: 1, color: '#c07bff' },
+  };
+  // apply(g) tweaks game.mod at run start; hooks fire mid-run (driftRelease(g, release01), pickup(g, def), nearMiss(g, rival)).
+  // unlock: best score on that map (any mode) needed before the perk can be offered.
   const PERKS = [
-    { id: 'grip', name: 'Grip Gel', desc: 'Grip up, cornering is steadier.', apply: g => { g.mod.grip *= 1.14; } },
-    { id: 'boost', name: 'Ion Boost', desc: 'Boost gain +20%, drain -10%.', apply: g => { g.mod.boostGain *= 1.2; g.mod.boostDrain *= 0.9; } },
-    { id: 'magnet', name: 'Pick Magnet', desc: 'Pickups pull from farther.', apply: g => { g.mod.pickRange *= 1.4; } },
-    { id: 'steer', name: 'Quick Rack', desc: 'Steering response +12%.', apply: g => { g.mod.steer *= 1.12; } },
+    { id: 'grip', name: 'Grip Gel', rarity: 'common', desc: 'Grip up, cornering is steadier.', apply: g => { g.mod.grip *= 1.14; } },
+    { id: 'boost', name: 'Ion Boost', rarity: 'common', desc: 'Boost gain +20%, drain -10%.', apply: g => { g.mod.boostGain *= 1.2; g.mod.boostDrain *= 0.9; } },
+    { id: 'magnet', name: 'Pick Magnet', rarity: 'common', desc: 'Pickups pull from farther.', apply: g => { g.mod.pickRange *= 1.4; } },
+    { id: 'steer', name: 'Quick Rack', rarity: 'common', desc: 'Steering response +12%.', apply: g => { g.mod.steer *= 1.12; } },
+    { id: 'coolant', name: 'Coolant Loop', rarity: 'common', desc: 'Lava heat builds 25% slower.', unlock: { map: 'crater', score: 2500 }, apply: g => { g.mod.heat *= 0.75; } },
+    { id: 'afterburn', name: 'Afterburner', rarity: 'rare', desc: 'Drift boosts kick harder and longer.', unlock: { map: 'ridge', score: 4000 },
+      hooks: { driftRelease: (g, t) => { g.boostPulse += 0.15 + t * 0.25; } } },
+    { id: 'scavenger', name: 'Scavenger', rarity: 'rare', desc: 'Every pickup adds boost and combo.', unlock: { map: 'switch', score: 4000 },
+      hooks: { pickup: g => { g.boost = clamp(g.boost + 12, 0, 140); addCombo(0.2); } } },
+    { id: 'daredevil', name: 'Daredevil', rarity: 'rare', desc: 'Near misses score triple and shed heat.', unlock: { map: 'dunes', score: 4000 },
+      hooks: { nearMiss: g => { g.score += 36 * scoreMult(); g.heat = Math.max(0, g.heat - 6); } } },
+    { id: 'overclock', name: 'Overclock', rarity: 'epic', desc: 'Timed pickups last 50% longer.', unlock: { map: 'spire', score: 8000 },
+      hooks: { pickup: (g, def) => { if (!def.dur) return; g.effects[def.id] = def.dur * 1.5; if (def.id === 'shield') g.invuln = Math.max(g.invuln, g.effects.shield); } } },
+    { id: 'phoenix', name: 'Phoenix Drift', rarity: 'epic', desc: 'A full drift release shields you for 1.5s.', unlock: { map: 'crater', score: 10000 },
+      hooks: { driftRelease: (g, t) => { if (t > 0.8) g.invuln = Math.max(g.invuln, 1.5); } } },
   ];
+  const PERK_BY_ID = new Map(PERKS.map(p => [p.id, p]));
+  const perkById = id => PERK_BY_ID.get(id) || null;
+  // Saved as {v, perks: [id...]}; functions never go to storage, the registry above supplies them.
+  const PERK_SAVE_VERSION = 2;
 
   /* DOM refs */
   const ui = {};
@@ -204,6 +418,11 @@ BASELINE AUDIT (before fixes):
     hazardMeshes: [],
     boostMeshes: [],
     props: null,
+    rocks: null,
+    sun: null,
+    quality: QUALITY.high,
+    // level indexes GOVERNOR_STEPS; slow/fast are seconds spent over budget / with headroom.
+    governor: { level: 0, slow: 0, fast: 0 },
     hazardLights: [],
     speedFx: null,
     speedFxAttr: null,
@@ -211,28 +430,58 @@ BASELINE AUDIT (before fixes):
     particles: null,
     ramps: [],
     floor: null,
+    beacons: [],
+    gates: [],
   };
   let renderer, scene, camera;
-  let playerMesh, playerShadow;
+  let playerMesh, playerShadow, ghostMesh;
   const rivalPool = [];
   const pickupPool = [];
   const activeRivals = [];
   const activePickups = [];
   const keys = {};
-  const touch = { left: false, right: false, accel: false, drift: false, boost: false };
+  const touch = { steer: 0, throttle: 0, brake: 0, drift: false, boost: false };
+  // Menu preview spin while hovered (radians); 0 = north-up plan.
+  const preview = { hover: false, spin: 0 };
+  // Arena editor session: the map being edited, current tool/selection and the fly camera.
+  const editor = { def: null, tool: null, sel: null, drag: null, look: null, testing: false, dirty: false, saved: null, cam: { x: 0, y: 200, z: -400, yaw: 0, pitch: -0.4 } };
+  // Standard-mapping gamepad, polled once per frame in tick(); analog values are post-deadzone.
+  const pad = { id: '', connected: false, steer: 0, throttle: 0, brake: 0, drift: false, boost: false, pause: false };
   const debugBox = document.createElement('div');
-  const tone = { ctx: null };
+  // One AudioContext, created on the first user gesture that needs sound. Layers and one-shots feed the
+  // sfx bus, which feeds master. Continuous layers are {gain, filter, ...sources} driven from updateAudio().
+  // rivals/lava are positional voices ({..., panner}); the listener follows the camera.
+  // Music runs on its own bus with one gain per stem; seq tracks the next 16th to schedule.
+  const audio = {
+    ctx: null, master: null, sfx: null, noise: null, engine: null, screech: null, whoosh: null, rivals: [], lava: [],
+    music: null, stems: null, seq: { step: 0, next: 0 },
+  };
 
   /* Game state */
   const STORAGE_KEYS = {
     settings: 'infernodrift2-settings',
     scores: 'infernodrift2-scores',
     perk: 'infernodrift2-perk',
+    ghosts: 'infernodrift2-ghosts',
+    ai: 'infernodrift2-ai',
+    maps: 'infernodrift2-maps',
   };
 
   const game = {
     state: 'menu',
     mode: 'player',
+    runMode: MODES[0],
+    hits: 0,
+    beaconIndex: 0,
+    sprintDone: false,
+    lap: 0,
+    nextGate: 0,
+    lapStart: 0,
+    lastLap: 0,
+    bestLap: 0,
+    splits: [],
+    bestSplits: null,
+    lastSplit: null,
     settings: loadSettings(),
     scores: loadScores(),
     mapIndex: 0,
@@ -245,18 +494,36 @@ BASELINE AUDIT (before fixes):
     drift: 0,
     boost: 0,
     boostPulse: 0,
+    // Last frame's throttle and boost state, read by the audio layers.
+    throttle: 0,
+    boosting: false,
     heat: 0,
+    heatWarned: false,
+    inLava: false,
     combo: 1,
     comboTimer: 0,
     score: 0,
     runTime: 0,
     last: 0,
+    acc: 0,
+    seed: 0,
+    speedScale: 1,
+    inputRec: null,
+    playback: null,
     fps: 0,
     pickupTimer: CFG.pickupInterval,
     rivalTimer: CFG.rivalInterval,
     drifting: false,
-    perk: loadPerk(),
+    perks: loadPerks(),
+    perkHooks: {},
+    ghosts: loadGhosts(),
+    aiTable: loadAiTable(),
+    aiBias: null,
+    enemyAI: 'standard',
+    ghost: null,
+    ghostRec: null,
     mod: defaultMods(),
+    effects: { shield: 0, mult: 0, magnet: 0 },
     autopilotTime: 0,
     focusCaptured: false,
     steerInput: 0,
@@ -277,14 +544,23 @@ BASELINE AUDIT (before fixes):
     cacheDom();
     buildDebugBox();
     if (!window.THREE) throw new Error('Three.js not found (vendor/three.min.js)');
+    world.quality = QUALITY[game.settings.gfx] || QUALITY.high;
     initRenderer();
     initScene();
     initPools();
     initParticles();
+    applyQuality(game.settings.gfx);
     bindUI();
+    // The "Random arena" slot sits right after the built-ins and is regenerated whenever its seed changes.
+    MAPS.push(generateArena(game.settings.arenaSeed, game.settings.arenaDifficulty));
+    loadCustomMaps();
     buildMapList();
     selectMap(game.mapIndex);
+    buildModeList();
+    selectMode(Math.max(0, MODES.findIndex(m => m.id === game.settings.runMode)));
+    renderPerkSlots();
     setupInput();
+    renderKeyHint();
     setupTouch();
     setupFocusGate();
     resize();
@@ -300,19 +576,40 @@ BASELINE AUDIT (before fixes):
     ui.hudCombo = document.querySelector('#hudCombo');
     ui.hudLap = document.querySelector('#hudLap');
     ui.heatBar = document.querySelector('#heatBar');
+    ui.hudEffects = {};
+    document.querySelectorAll('#hudEffects [data-fx]').forEach(el => { ui.hudEffects[el.dataset.fx] = el; });
     ui.driftBar = document.querySelector('#driftBar');
     ui.boostBar = document.querySelector('#boostBar');
     ui.toast = document.querySelector('#toast');
     ui.mapList = document.querySelector('#mapList');
+    ui.modeList = document.querySelector('#modeList');
     ui.mapPreview = document.querySelector('#mapPreview');
     ui.mapName = document.querySelector('#mapName');
     ui.mapDesc = document.querySelector('#mapDesc');
+    ui.mapBest = document.querySelector('#mapBest');
+    ui.randomControls = document.querySelector('#randomControls');
+    ui.arenaSeed = document.querySelector('#arenaSeed');
+    ui.arenaDifficulty = document.querySelector('#arenaDifficulty');
+    ui.modeDesc = document.querySelector('#modeDesc');
+    ui.bindTable = document.querySelector('#bindTable');
+    ui.bindStatus = document.querySelector('#bindStatus');
+    ui.keyHint = document.querySelector('#keyHint');
     ui.menuPanel = document.querySelector('#menuPanel');
     ui.pauseOverlay = document.querySelector('#pauseOverlay');
     ui.gameoverOverlay = document.querySelector('#gameoverOverlay');
     ui.settingsOverlay = document.querySelector('#settingsOverlay');
     ui.helpOverlay = document.querySelector('#helpOverlay');
     ui.upgradeGrid = document.querySelector('#upgradeGrid');
+    ui.editorPanel = document.querySelector('#editorPanel');
+    ui.editorMap = document.querySelector('#editorMap');
+    ui.edTools = document.querySelector('#edTools');
+    ui.edFields = document.querySelector('#edFields');
+    ui.edName = document.querySelector('#edName');
+    ui.edSize = document.querySelector('#edSize');
+    ui.edDifficulty = document.querySelector('#edDifficulty');
+    ui.perkSlots = document.querySelector('#perkSlots');
+    ui.perkCount = document.querySelector('#perkCount');
+    ui.hudPerks = document.querySelector('#hudPerks');
     ui.touchControls = document.querySelector('#touchControls');
     ui.focusGate = document.querySelector('#focusGate');
     ui.errorOverlay = document.querySelector('#errorOverlay');
@@ -340,19 +637,96 @@ BASELINE AUDIT (before fixes):
   }
 
   function defaultMods() {
-    return { grip: 1, steer: 1, boostGain: 1, boostDrain: 1, pickRange: 1 };
+    return { grip: 1, steer: 1, boostGain: 1, boostDrain: 1, pickRange: 1, heat: 1 };
   }
 
   function loadSettings() {
-    const base = { sound: 'on', gfx: 'high', controls: 'wasd', enemyAI: 'standard', speedScale: 1 };
-    try { return { ...base, ...(JSON.parse(localStorage.getItem(STORAGE_KEYS.settings)) || {}) }; }
-    catch { return base; }
+    const base = { volMaster: 0.8, volSfx: 0.8, volMusic: 0.6, gfx: 'high', controls: 'wasd', enemyAI: 'standard', speedScale: 1, runMode: 'free', padDeadzone: 0.15, touchThrottle: 'auto', arenaSeed: 1, arenaDifficulty: 'Medium' };
+    let s;
+    try { s = { ...base, ...(JSON.parse(localStorage.getItem(STORAGE_KEYS.settings)) || {}) }; }
+    catch { s = base; }
+    // Older saves have an on/off `sound` switch instead of volumes.
+    if (s.sound) { if (s.sound === 'off') s.volMaster = 0; delete s.sound; }
+    s.bindings = normalizeBindings(s.bindings, s.controls);
+    return s;
+  }
+  function presetBindings(scheme) {
+    const p = BIND_PRESETS[scheme] || BIND_PRESETS.wasd;
+    return Object.fromEntries(BIND_ACTIONS.map(a => [a.id, p[a.id].slice()]));
+  }
+  // Older saves only have `controls`; unknown actions or malformed slots fall back to that preset.
+  function normalizeBindings(stored, scheme) {
+    const out = presetBindings(scheme);
+    if (!stored || typeof stored !== 'object') return out;
+    BIND_ACTIONS.forEach(a => {
+      const slots = stored[a.id];
+      if (Array.isArray(slots) && slots.length === 2 && slots.every(k => typeof k === 'string')) out[a.id] = slots.slice();
+    });
+    return out;
   }
   function saveSettings() { localStorage.setItem(STORAGE_KEYS.settings, JSON.stringify(game.settings)); }
+  // Custom arenas live after the built-ins in MAPS, flagged `custom`, so indices of built-in maps never shift.
+  function loadCustomMaps() {
+    try {
+      const list = JSON.parse(localStorage.getItem(STORAGE_KEYS.maps)) || [];
+      let dropped = 0;
+      list.forEach(m => {
+        const problems = MAPS.some(b => b.id === m?.id) ? [`id "${m.id}" is already taken`] : validateMapDef(m);
+        if (problems.length) { dropped++; return; }
+        MAPS.push({ ...normalizeMap(m), custom: true, imported: !!m.imported });
+      });
+      if (dropped) setToast(`Skipped ${dropped} saved arena${dropped > 1 ? 's' : ''} that failed validation`);
+    } catch { /* ignore unreadable custom maps */ }
+  }
+  function saveCustomMaps() {
+    try { localStorage.setItem(STORAGE_KEYS.maps, JSON.stringify(MAPS.filter(m => m.custom))); } catch { setToast('Could not save arenas (storage full?)'); }
+  }
   function loadScores() { try { return JSON.parse(localStorage.getItem(STORAGE_KEYS.scores)) || {}; } catch { return {}; } }
-  function saveScores() { localStorage.setItem(STORAGE_KEYS.scores, JSON.stringify(game.scores)); }
-  function loadPerk() { try { return JSON.parse(localStorage.getItem(STORAGE_KEYS.perk)) || null; } catch { return null; } }
-  function savePerk() { if (game.perk) localStorage.setItem(STORAGE_KEYS.perk, JSON.stringify(game.perk)); else localStorage.removeItem(STORAGE_KEYS.perk); }
+  function saveScores() {
+    try { localStorage.setItem(STORAGE_KEYS.scores, JSON.stringify(game.scores)); }
+    catch { setToast('Score not saved (storage full)'); }
+  }
+  function loadGhosts() { try { return JSON.parse(localStorage.getItem(STORAGE_KEYS.ghosts)) || {}; } catch { return {}; } }
+  function saveGhosts() {
+    try { localStorage.setItem(STORAGE_KEYS.ghosts, JSON.stringify(game.ghosts)); }
+    catch { setToast('Ghost not saved (storage full)'); }
+  }
+  // Each Random arena seed gets its own ghost key, so only the newest few of those are kept.
+  function storeGhost(key, data) {
+    delete game.ghosts[key];
+    game.ghosts[key] = data;
+    const random = Object.keys(game.ghosts).filter(k => parseRandomId(k.split(':')[0]));
+    random.slice(0, Math.max(0, random.length - CFG.ghostRandomKeep)).forEach(k => { delete game.ghosts[k]; });
+    saveGhosts();
+  }
+  function loadAiTable() { try { return normalizeAiTable(JSON.parse(localStorage.getItem(STORAGE_KEYS.ai))); } catch { return normalizeAiTable(null); } }
+  function saveAiTable() { try { localStorage.setItem(STORAGE_KEYS.ai, JSON.stringify(game.aiTable)); } catch { /* learning is best-effort */ } }
+  function loadPerks() {
+    const text = localStorage.getItem(STORAGE_KEYS.perk);
+    let raw = null;
+    try { raw = JSON.parse(text); } catch { /* unreadable: treat as empty */ }
+    const stored = migratePerkSave(raw);
+    const ids = [...new Set(stored)].filter(perkById).slice(-CFG.perkSlots);
+    // Rewrite anything old or dirty so the next load takes the fast path.
+    if (text != null && (raw?.v !== PERK_SAVE_VERSION || ids.length !== stored.length)) writePerks(ids);
+    return ids;
+  }
+
+  // v0 was the single equipped perk object ({id, name, desc}, apply lost in JSON); v1 a bare id array.
+  function migratePerkSave(raw) {
+    if (raw?.v === PERK_SAVE_VERSION) return Array.isArray(raw.perks) ? raw.perks.filter(id => typeof id === 'string') : [];
+    if (Array.isArray(raw)) return raw.filter(id => typeof id === 'string');
+    if (typeof raw?.id === 'string') return [raw.id];
+    return [];
+  }
+
+  function writePerks(ids) {
+    try {
+      if (ids.length) localStorage.setItem(STORAGE_KEYS.perk, JSON.stringify({ v: PERK_SAVE_VERSION, perks: ids }));
+      else localStorage.removeItem(STORAGE_KEYS.perk);
+    } catch { /* storage full or blocked */ }
+  }
+  function savePerks() { writePerks(game.perks); }
 
   function getGroundTexture() {
     if (ASSETS.groundTex) return ASSETS.groundTex;
@@ -541,8 +915,7 @@ BASELINE AUDIT (before fixes):
     scene.add(sky);
   }
 
-  function createSpeedFx() {
-    const count = 220;
+  function createSpeedFx(count = world.quality.speedFx) {
     const positions = new Float32Array(count * 3);
     for (let i = 0; i < count; i++) {
       positions[i * 3] = (Math.random() - 0.5) * 18;
@@ -579,8 +952,13 @@ BASELINE AUDIT (before fixes):
     world.speedFxAttr.needsUpdate = true;
   }
 
-  function initParticles() {
-    const max = 1400;
+  // Re-running this (quality change) swaps in a fresh buffer of the new size.
+  function initParticles(max = world.quality.particles) {
+    if (world.particles) {
+      scene.remove(world.particles.pts);
+      world.particles.pts.geometry.dispose();
+      world.particles.pts.material.dispose();
+    }
     const pos = new Float32Array(max * 3);
     const col = new Float32Array(max * 3);
     const vel = new Float32Array(max * 3);
@@ -608,6 +986,7 @@ BASELINE AUDIT (before fixes):
 
   function spawnParticle(x, y, z, vx, vy, vz, r, g, b, ttl) {
     if (!world.particles) return;
+    if (Math.random() > GOVERNOR_STEPS[world.governor.level].particles) return;
     const p = world.particles;
     const i = p.head++ % p.max;
     const ii = i * 3;
@@ -680,7 +1059,8 @@ BASELINE AUDIT (before fixes):
 
   /* Renderer & Scene */
   function initRenderer() {
-    renderer = new THREE.WebGLRenderer({ canvas: ui.canvas, antialias: true, alpha: false, powerPreference: 'high-performance' });
+    // Antialiasing is fixed when the WebGL context is created, so a tier change only reaches it after a reload.
+    renderer = new THREE.WebGLRenderer({ canvas: ui.canvas, antialias: world.quality.antialias, alpha: false, powerPreference: 'high-performance' });
     renderer.setPixelRatio(1);
     renderer.setSize(window.innerWidth, window.innerHeight, false);
     renderer.shadowMap.enabled = true;
@@ -696,17 +1076,18 @@ BASELINE AUDIT (before fixes):
   function initScene() {
     scene = new THREE.Scene();
     scene.background = new THREE.Color(0x04070f);
-    scene.fog = new THREE.Fog(0x04070f, 50, 1200);
+    scene.fog = new THREE.Fog(0x04070f, 50, world.quality.fogFar);
     const hemi = new THREE.HemisphereLight(0x7fb9ff, 0x0a0c16, 0.9);
     const sun = new THREE.DirectionalLight(0xfff1d0, 0.9);
     sun.position.set(160, 260, -160);
     sun.castShadow = true;
-    sun.shadow.mapSize.set(2048, 2048);
+    sun.shadow.mapSize.set(world.quality.shadowSize, world.quality.shadowSize);
     sun.shadow.camera.left = -240;
     sun.shadow.camera.right = 240;
     sun.shadow.camera.top = 240;
     sun.shadow.camera.bottom = -240;
     scene.add(hemi, sun);
+    world.sun = sun;
 
     world.arenaGroup = new THREE.Group();
     scene.add(world.arenaGroup);
@@ -722,11 +1103,25 @@ BASELINE AUDIT (before fixes):
     playerShadow = buildShadow();
     scene.add(playerMesh, playerShadow);
 
-    for (let i = 0; i < 10; i++) { const m = buildCar(0xff6b74, 0x2a0f14); m.visible = false; scene.add(m); rivalPool.push(m); }
+    ghostMesh = buildCar(0x9fc4ff, 0x203a66);
+    ghostMesh.traverse(o => {
+      if (!o.isMesh) return;
+      o.material = o.material.clone();
+      o.material.transparent = true;
+      o.material.opacity = Math.min(o.material.opacity, 0.32);
+      o.material.depthWrite = false;
+      o.castShadow = false;
+    });
+    ghostMesh.visible = false;
+    scene.add(ghostMesh);
 
-    const pickupGeo = new THREE.OctahedronGeometry(0.7);
+    Object.entries(RIVAL_TYPES).forEach(([type, t]) => {
+      for (let i = 0; i < CFG.rivalMax + 1; i++) { const m = buildCar(t.color, t.accent); m.visible = false; m.userData.type = type; scene.add(m); rivalPool.push(m); }
+    });
+
+    PICKUPS.forEach(p => { p.geometry = p.geo(); });
     for (let i = 0; i < 16; i++) {
-      const m = new THREE.Mesh(pickupGeo, new THREE.MeshStandardMaterial({ color: 0xffd15a, emissive: 0x7a4c1f, roughness: 0.35, metalness: 0.2 }));
+      const m = new THREE.Mesh(PICKUPS[0].geometry, new THREE.MeshStandardMaterial({ color: 0xffd15a, emissive: 0x7a4c1f, roughness: 0.35, metalness: 0.2 }));
       m.visible = false; m.castShadow = true; scene.add(m); pickupPool.push(m);
     }
   }
@@ -749,6 +1144,7 @@ BASELINE AUDIT (before fixes):
     glow.position.set(0, -0.33, 0.2);
     glow.renderOrder = 1;
     g.add(glow);
+    g.userData.glow = glow;
 
     const lightMat = new THREE.MeshStandardMaterial({ color: 0xffffff, emissive: 0xcfe3ff, emissiveIntensity: 1.2, roughness: 0.25, metalness: 0.05 });
     const headL = new THREE.Mesh(new THREE.BoxGeometry(0.3, 0.18, 0.05), lightMat);
@@ -789,32 +1185,97 @@ BASELINE AUDIT (before fixes):
     document.querySelector('#startBtn').addEventListener('click', () => startRun('player'));
     document.querySelector('#resumeBtn').addEventListener('click', resumeGame);
     document.querySelector('#watchDemo').addEventListener('click', () => startRun('demo'));
+    document.querySelector('#openEditor').addEventListener('click', () => openEditor(MAPS[game.mapIndex]));
+    ui.mapPreview.addEventListener('pointerenter', () => { preview.hover = true; });
+    ui.mapPreview.addEventListener('pointerleave', () => { preview.hover = false; preview.spin = 0; drawPreview(); });
+    bindEditor();
     document.querySelector('#openHelp').addEventListener('click', () => show(ui.helpOverlay));
     document.querySelector('#closeHelp').addEventListener('click', () => hide(ui.helpOverlay));
     document.querySelector('#openSettings').addEventListener('click', () => {
-      document.querySelector('#settingSound').value = game.settings.sound;
+      document.querySelector('#settingMaster').value = Math.round(game.settings.volMaster * 100);
+      document.querySelector('#settingSfx').value = Math.round(game.settings.volSfx * 100);
+      document.querySelector('#settingMusic').value = Math.round(game.settings.volMusic * 100);
       document.querySelector('#settingGfx').value = game.settings.gfx;
       document.querySelector('#settingControls').value = game.settings.controls;
+      document.querySelector('#settingPadDeadzone').value = String(game.settings.padDeadzone);
+      document.querySelector('#settingTouchThrottle').value = game.settings.touchThrottle;
+      document.querySelector('#settingEnemyAI').value = game.settings.enemyAI;
+      renderBindings();
       const scaleSel = document.querySelector('#settingSpeedScale'); if (scaleSel) scaleSel.value = String(game.settings.speedScale ?? 1);
       show(ui.settingsOverlay);
     });
     document.querySelector('#closeSettings').addEventListener('click', () => {
-      game.settings.sound = document.querySelector('#settingSound').value;
       game.settings.gfx = document.querySelector('#settingGfx').value;
-      game.settings.controls = document.querySelector('#settingControls').value;
+      game.settings.padDeadzone = Number(document.querySelector('#settingPadDeadzone').value);
+      game.settings.touchThrottle = document.querySelector('#settingTouchThrottle').value;
+      game.settings.enemyAI = document.querySelector('#settingEnemyAI').value;
       const scaleSel = document.querySelector('#settingSpeedScale'); if (scaleSel) game.settings.speedScale = Number(scaleSel.value || 1);
+      bindCapture = null;
       saveSettings();
       hide(ui.settingsOverlay);
     });
-    document.querySelector('#resetAI').addEventListener('click', () => { game.scores = {}; saveScores(); game.perk = null; savePerk(); setToast('Progress reset'); });
+    // Volumes apply while dragging.
+    [['#settingMaster', 'volMaster'], ['#settingSfx', 'volSfx'], ['#settingMusic', 'volMusic']].forEach(([sel, key]) => {
+      document.querySelector(sel).addEventListener('input', e => {
+        game.settings[key] = clamp(Number(e.target.value) / 100, 0, 1);
+        // The drag is a user gesture, so it may start audio that was muted from boot.
+        if (game.settings[key] > 0) ensureAudio();
+        applyVolumes();
+      });
+    });
+    // Graphics applies immediately so the change can be judged behind the overlay.
+    document.querySelector('#settingGfx').addEventListener('change', e => {
+      game.settings.gfx = e.target.value;
+      applyQuality(game.settings.gfx);
+    });
+    document.querySelector('#settingControls').addEventListener('change', e => {
+      game.settings.controls = e.target.value;
+      game.settings.bindings = presetBindings(e.target.value);
+      saveSettings();
+      renderBindings('Preset applied.');
+    });
+    document.querySelector('#resetBindings').addEventListener('click', () => {
+      game.settings.bindings = presetBindings(game.settings.controls);
+      saveSettings();
+      renderBindings('Controls reset to defaults.');
+    });
+    document.querySelector('#resetAI').addEventListener('click', () => { game.aiTable = normalizeAiTable(null); saveAiTable(); game.aiBias = aiBiasFrom(game.aiTable, game.map.id); setToast('Enemy learning reset'); });
+    document.querySelector('#resetProgress').addEventListener('click', () => { game.scores = {}; saveScores(); game.ghosts = {}; saveGhosts(); game.perks = []; savePerks(); renderPerkSlots(); setToast('Progress reset'); });
+    ui.perkSlots?.addEventListener('click', e => { const id = e.target.closest('[data-perk]')?.dataset.perk; if (id) unequipPerk(id); });
     document.querySelector('#resumePlay').addEventListener('click', resumeGame);
-    document.querySelector('#restartPlay').addEventListener('click', () => startRun(game.mode));
+    document.querySelector('#restartPlay').addEventListener('click', () => startRun(game.mode === 'attract' ? 'demo' : game.mode));
     document.querySelector('#backToMenu').addEventListener('click', gotoMenu);
     document.querySelector('#playAgain').addEventListener('click', () => startRun('player'));
     document.querySelector('#menuReturn').addEventListener('click', gotoMenu);
     document.querySelector('#toggleFull').addEventListener('click', toggleFullscreen);
     document.querySelector('#pauseBtn').addEventListener('click', pauseGame);
     document.querySelector('#errorClose').addEventListener('click', () => hide(ui.errorOverlay));
+    document.querySelectorAll('.save-replay').forEach(b => b.addEventListener('click', exportReplay));
+    document.querySelector('#loadReplay').addEventListener('click', () => document.querySelector('#replayFile').click());
+    document.querySelector('#replayFile').addEventListener('change', e => {
+      const file = e.target.files[0];
+      e.target.value = '';
+      if (file) file.text().then(importReplay, err => showError('Replay error', err.message));
+    });
+    document.querySelector('#exportMap').addEventListener('click', () => exportMap(MAPS[game.mapIndex]));
+    ui.arenaSeed.addEventListener('change', () => setRandomArena(parseSeed(ui.arenaSeed.value), ui.arenaDifficulty.value));
+    ui.arenaDifficulty.addEventListener('change', () => setRandomArena(parseSeed(ui.arenaSeed.value), ui.arenaDifficulty.value));
+    document.querySelector('#rerollArena').addEventListener('click', () => setRandomArena(newSeed(), ui.arenaDifficulty.value));
+    document.querySelector('#importMap').addEventListener('click', () => document.querySelector('#mapFile').click());
+    document.querySelector('#mapFile').addEventListener('change', e => {
+      const file = e.target.files[0];
+      e.target.value = '';
+      if (file) file.text().then(importMap, err => showError('Map import error', err.message));
+    });
+    // Dropping a map file anywhere on the menu imports it.
+    ui.menuPanel.addEventListener('dragover', e => { e.preventDefault(); ui.menuPanel.classList.add('drop-target'); });
+    ui.menuPanel.addEventListener('dragleave', e => { if (!ui.menuPanel.contains(e.relatedTarget)) ui.menuPanel.classList.remove('drop-target'); });
+    ui.menuPanel.addEventListener('drop', e => {
+      e.preventDefault();
+      ui.menuPanel.classList.remove('drop-target');
+      const file = e.dataTransfer?.files[0];
+      if (file) file.text().then(importMap, err => showError('Map import error', err.message));
+    });
   }
 
   function buildMapList() {
@@ -822,7 +1283,14 @@ BASELINE AUDIT (before fixes):
     MAPS.forEach((m, idx) => {
       const card = document.createElement('button');
       card.className = 'map-card';
-      card.innerHTML = `<div class="name">${m.name}</div><div class="muted tiny">${m.desc}</div><div class="muted tiny">${m.difficulty} &middot; Arena</div>`;
+      // Names and descriptions can come from shared map files, so they only ever go in as text.
+      const kind = m.imported ? 'Imported' : m.custom ? 'Custom' : m.generated ? `Seed ${m.generated.seed}` : 'Arena';
+      [['name', m.name], ['muted tiny', m.desc], ['muted tiny', `${m.difficulty} \u00b7 ${kind}`]].forEach(([cls, text]) => {
+        const line = document.createElement('div');
+        line.className = cls;
+        line.textContent = text;
+        card.appendChild(line);
+      });
       card.addEventListener('click', () => selectMap(idx));
       ui.mapList.appendChild(card);
     });
@@ -834,44 +1302,185 @@ BASELINE AUDIT (before fixes):
     document.querySelectorAll('.map-card').forEach((c, i) => c.classList.toggle('active', i === idx));
     ui.mapName.textContent = MAPS[idx].name;
     ui.mapDesc.textContent = MAPS[idx].desc;
+    ui.randomControls.classList.toggle('hidden', !MAPS[idx].generated);
+    if (MAPS[idx].generated) { ui.arenaSeed.value = MAPS[idx].generated.seed; ui.arenaDifficulty.value = MAPS[idx].generated.difficulty; }
+    renderMapBest();
     drawPreview();
   }
 
+  // Personal best for the selected map in the selected mode (same key endRun records under).
+  function renderMapBest() {
+    if (!ui.mapBest) return;
+    const entry = game.scores[scoreKey()];
+    const lap = entry?.bestLap ? ` · best lap ${entry.bestLap.toFixed(2)}s` : '';
+    if (game.runMode.rank === 'time') ui.mapBest.textContent = entry?.time ? `Best time ${entry.time.toFixed(2)}s${lap}` : 'No finish yet';
+    else ui.mapBest.textContent = entry?.best ? `Best ${entry.best.toFixed(0)} in ${entry.time.toFixed(1)}s${lap}` : 'No best yet';
+  }
+
+  function buildModeList() {
+    ui.modeList.innerHTML = '';
+    MODES.forEach((m, idx) => {
+      const card = document.createElement('button');
+      card.className = 'mode-card';
+      card.title = m.desc;
+      card.textContent = m.name;
+      card.addEventListener('click', () => selectMode(idx));
+      ui.modeList.appendChild(card);
+    });
+  }
+
+  function selectMode(idx) {
+    game.runMode = MODES[idx];
+    if (game.settings.runMode !== game.runMode.id) { game.settings.runMode = game.runMode.id; saveSettings(); }
+    ui.modeList.querySelectorAll('.mode-card').forEach((c, i) => c.classList.toggle('active', i === idx));
+    ui.modeDesc.textContent = game.runMode.desc;
+    renderMapBest();
+  }
+
   function setupInput() {
     window.addEventListener('keydown', e => {
       const k = e.key.toLowerCase();
+      if (bindCapture) { e.preventDefault(); finishCapture(k); return; }
       keys[k] = true;
-      if (['arrowup', 'arrowdown', 'arrowleft', 'arrowright', ' '].includes(k)) e.preventDefault();
-      if (e.key === '~') toggleDebug();
-      if (k === 'f') toggleFullscreen();
-      if (e.key === 'Escape') handleEscape();
+      if (['arrowup', 'arrowdown', 'arrowleft', 'arrowright', ' '].includes(k) || (isBound('drive', k) && game.state === 'playing')) e.preventDefault();
+      if (game.state === 'editor' && editorKey(k, e)) return;
+      if (e.repeat) return;
+      if (isBound('debug', k)) toggleDebug();
+      if (isBound('fullscreen', k)) toggleFullscreen();
+      if (isBound('pause', k)) handleEscape();
     });
     window.addEventListener('keyup', e => { keys[e.key.toLowerCase()] = false; });
+    window.addEventListener('gamepadconnected', e => setToast(`Controller connected: ${e.gamepad.id.slice(0, 32)}`));
+    window.addEventListener('gamepaddisconnected', () => setToast('Controller disconnected'));
+  }
+
+  function isBound(action, k) {
+    const b = game.settings.bindings;
+    if (action === 'drive') return ['throttle', 'brake', 'left', 'right', 'drift', 'boost'].some(a => b[a].includes(k));
+    return !!k && b[action].includes(k);
+  }
+  function actionDown(action) { return game.settings.bindings[action].some(k => k && keys[k]); }
+
+  function keyLabel(k) {
+    if (!k) return '-';
+    const named = { ' ': 'Space', arrowup: 'Up', arrowdown: 'Down', arrowleft: 'Left', arrowright: 'Right', escape: 'Esc', shift: 'Shift', control: 'Ctrl', alt: 'Alt', enter: 'Enter', tab: 'Tab' };
+    return named[k] || (k.length === 1 ? k.toUpperCase() : k[0].toUpperCase() + k.slice(1));
+  }
+
+  // Press-to-bind: the next keydown (Esc included) fills the slot; Backspace/Delete clears it, clicking the slot again cancels.
+  let bindCapture = null;
+  function renderBindings(status) {
+    const b = game.settings.bindings;
+    const counts = {};
+    BIND_ACTIONS.forEach(a => b[a.id].forEach(k => { if (k) counts[k] = (counts[k] || 0) + 1; }));
+    ui.bindTable.innerHTML = '';
+    BIND_ACTIONS.forEach(a => {
+      const row = document.createElement('div');
+      row.className = 'bind-row';
+      row.innerHTML = `<span>${a.label}</span>`;
+      b[a.id].forEach((k, slot) => {
+        const btn = document.createElement('button');
+        const capturing = bindCapture && bindCapture.action === a.id && bindCapture.slot === slot;
+        btn.className = 'bind-key' + (capturing ? ' capturing' : '') + (counts[k] > 1 ? ' conflict' : '');
+        btn.textContent = capturing ? 'Press a key' : keyLabel(k);
+        btn.addEventListener('click', () => {
+          if (capturing) { bindCapture = null; return renderBindings('Cancelled.'); }
+          bindCapture = { action: a.id, slot };
+          renderBindings('Press a key (click again to cancel, Backspace clears).');
+        });
+        row.appendChild(btn);
+      });
+      ui.bindTable.appendChild(row);
+    });
+    const dupes = Object.keys(counts).filter(k => counts[k] > 1);
+    ui.bindStatus.textContent = status || (dupes.length ? `Conflict: ${dupes.map(keyLabel).join(', ')} bound more than once.` : '');
+    renderKeyHint();
+  }
+
+  function finishCapture(k) {
+    const { action, slot } = bindCapture;
+    bindCapture = null;
+    const b = game.settings.bindings;
+    if (k === 'backspace' || k === 'delete') { b[action][slot] = ''; saveSettings(); return renderBindings(); }
+    // A key can only drive one slot: steal it from wherever it was and say so.
+    let moved = '';
+    BIND_ACTIONS.forEach(a => b[a.id].forEach((old, i) => {
+      if (old === k && !(a.id === action && i === slot)) { b[a.id][i] = ''; moved = a.label; }
+    }));
+    b[action][slot] = k;
+    saveSettings();
+    renderBindings(moved ? `${keyLabel(k)} moved from ${moved}.` : '');
+  }
+
+  function renderKeyHint() {
+    const b = game.settings.bindings;
+    const keysFor = a => b[a].filter(Boolean).map(keyLabel).join('/') || '-';
+    ui.keyHint.textContent = `${keysFor('throttle')} throttle \u00b7 ${keysFor('left')}/${keysFor('right')} steer \u00b7 ${keysFor('drift')} drift \u00b7 ${keysFor('boost')} boost \u00b7 ${keysFor('pause')} pause`;
   }
 
   function setupTouch() {
     const steer = document.querySelector('#touchSteer');
+    const knob = steer.querySelector('.stick-inner');
     const driftBtn = document.querySelector('#touchDrift');
     const boostBtn = document.querySelector('#touchBoost');
     const isMobile = matchMedia('(pointer: coarse)').matches;
     ui.touchControls.classList.toggle('hidden', !isMobile);
+
+    // Analog stick: one pointer owns it (by pointerId) so the other thumb can hold drift/boost.
+    let stickId = null;
     const move = e => {
       const r = steer.getBoundingClientRect();
-      const x = e.touches[0].clientX - r.left;
-      const c = (x / r.width) - 0.5;
-      touch.left = c < -0.12; touch.right = c > 0.12;
-      touch.accel = true;
+      const radius = r.width * 0.5;
+      let dx = e.clientX - (r.left + radius);
+      let dy = e.clientY - (r.top + r.height * 0.5);
+      const len = Math.hypot(dx, dy);
+      if (len > radius) { dx *= radius / len; dy *= radius / len; }
+      const sx = dx / radius, sy = -dy / radius;
+      const dz = CFG.touchDeadzone;
+      touch.steer = Math.abs(sx) <= dz ? 0 : Math.sign(sx) * (Math.abs(sx) - dz) / (1 - dz);
+      if (game.settings.touchThrottle === 'stick') {
+        touch.throttle = clamp((sy - dz) / (1 - dz), 0, 1);
+        touch.brake = clamp((-sy - dz) / (1 - dz), 0, 1);
+      } else { touch.throttle = 1; touch.brake = 0; }
+      knob.style.transform = `translate(${dx.toFixed(1)}px, ${dy.toFixed(1)}px)`;
+    };
+    const release = e => {
+      if (e.pointerId !== stickId) return;
+      stickId = null;
+      touch.steer = touch.throttle = touch.brake = 0;
+      knob.style.transform = '';
+    };
+    steer.addEventListener('pointerdown', e => {
+      if (stickId !== null) return;
+      e.preventDefault();
+      stickId = e.pointerId;
+      steer.setPointerCapture?.(e.pointerId);
+      move(e);
+    });
+    steer.addEventListener('pointermove', e => { if (e.pointerId === stickId) move(e); });
+    steer.addEventListener('pointerup', release);
+    steer.addEventListener('pointercancel', release);
+
+    const hold = (btn, key) => {
+      const held = new Set();
+      const up = e => { held.delete(e.pointerId); touch[key] = held.size > 0; btn.classList.toggle('held', touch[key]); };
+      btn.addEventListener('pointerdown', e => {
+        e.preventDefault();
+        held.add(e.pointerId);
+        btn.setPointerCapture?.(e.pointerId);
+        touch[key] = true;
+        btn.classList.add('held');
+      });
+      btn.addEventListener('pointerup', up);
+      btn.addEventListener('pointercancel', up);
     };
-    steer.addEventListener('touchstart', move); steer.addEventListener('touchmove', move);
-    steer.addEventListener('touchend', () => { touch.left = touch.right = false; touch.accel = false; });
-    driftBtn.addEventListener('touchstart', () => touch.drift = true);
-    driftBtn.addEventListener('touchend', () => touch.drift = false);
-    boostBtn.addEventListener('touchstart', () => { touch.boost = true; touch.accel = true; });
-    boostBtn.addEventListener('touchend', () => { touch.boost = false; touch.accel = false; });
+    hold(driftBtn, 'drift');
+    hold(boostBtn, 'boost');
   }
 
   function setupFocusGate() {
-    const capture = () => focusCanvas();
+    // The first click is also the gesture browsers require before the menu theme may start.
+    const capture = () => { focusCanvas(); if (game.settings.volMaster > 0) ensureAudio(); };
     ui.focusGate?.addEventListener('click', capture);
     ui.canvas.addEventListener('pointerdown', capture);
   }
@@ -890,42 +1499,79 @@ BASELINE AUDIT (before fixes):
   function handleEscape() { if (game.state === 'playing') pauseGame(); else if (game.state === 'paused') resumeGame(); }
   function pauseGame() { if (game.state === 'playing') { game.state = 'paused'; show(ui.pauseOverlay); } }
   function resumeGame() { if (game.state === 'paused') { game.state = 'playing'; hide(ui.pauseOverlay); focusCanvas(); } }
-  function gotoMenu() { game.state = 'menu'; show(ui.menuPanel); hide(ui.pauseOverlay); hide(ui.gameoverOverlay); ui.hud?.classList.add('hidden'); document.querySelector('#resumeBtn').disabled = true; }
+  function gotoMenu() {
+    if (editor.testing) { hide(ui.pauseOverlay); hide(ui.gameoverOverlay); ui.hud?.classList.add('hidden'); openEditor(editor.def, true); return; }
+    // Back from a replay of someone else's Random arena: bring the player's own seed back.
+    const own = MAPS.find(m => m.generated)?.generated;
+    if (game.mode === 'replay' && own && (own.seed !== game.settings.arenaSeed || own.difficulty !== game.settings.arenaDifficulty)) setRandomArena(game.settings.arenaSeed, game.settings.arenaDifficulty);
+    game.state = 'menu'; show(ui.menuPanel); renderMapBest(); hide(ui.pauseOverlay); hide(ui.gameoverOverlay); ui.hud?.classList.add('hidden'); document.querySelector('#resumeBtn').disabled = true;
+  }
 
-  function startRun(mode) {
+  function startRun(mode, seed) {
     hide(ui.menuPanel); hide(ui.gameoverOverlay); hide(ui.pauseOverlay);
-    game.mode = mode === 'demo' ? 'attract' : 'player';
+    // Replays carry their own map, mode, seed, speed scale and perks; everything else reads the menu/settings.
+    const replay = mode === 'replay' ? game.playback.data : null;
+    game.mode = mode === 'demo' ? 'attract' : mode === 'replay' ? 'replay' : 'player';
     game.state = mode === 'demo' ? 'attract' : 'playing';
-    game.pos.set(0, 0, 0);
+    if (replay) selectMap(MAPS.findIndex(m => m.id === replay.map));
+    game.runMode = mode === 'demo' ? MODES[0] : MODES.find(m => m.id === (replay ? replay.runMode : game.settings.runMode)) || MODES[0];
+    game.seed = replay ? replay.seed : seed ?? newSeed();
+    if (game.settings.volMaster > 0) ensureAudio();
+    rng = makeRng(game.seed);
+    game.speedScale = replay ? replay.speedScale : Number(game.settings.speedScale || 1);
+    // Adaptive rivals read (and in player runs, keep updating) the learned table; replays use their own snapshot.
+    game.enemyAI = replay ? replay.enemyAI || 'standard' : game.mode === 'attract' ? 'standard' : game.settings.enemyAI;
+    if (replay) game.aiTable = normalizeAiTable(replay.ai);
+    else if (game.mode === 'player') game.aiTable = loadAiTable();
+    game.aiBias = aiBiasFrom(game.aiTable, game.map.id);
+    if (replay) { game.playback.run = 0; game.playback.left = replay.inputs[0]?.[0] || 0; game.playback.tick = 0; }
+    else game.playback = null;
+    game.inputRec = game.mode === 'player' ? { map: game.map.id, runMode: game.runMode.id, seed: game.seed, speedScale: game.speedScale, perks: [...game.perks], enemyAI: game.enemyAI, ai: JSON.parse(JSON.stringify(game.aiTable)), inputs: [] } : null;
+    game.acc = 0;
+    game.hits = 0; game.beaconIndex = 0; game.sprintDone = false;
+    game.lap = 0; game.nextGate = 0; game.lapStart = 0; game.lastLap = 0; game.bestLap = 0; game.splits = []; game.bestSplits = null; game.lastSplit = null;
+    const spawn = spawnPoint(game.map);
+    game.pos.set(spawn.x, 0, spawn.z);
     game.vel.set(0, 0, 0);
-    game.yaw = 0; game.yawVel = 0;
-    game.speed = 0; game.drift = 0; game.boost = 0; game.boostPulse = 0; game.heat = 0; game.combo = 1; game.comboTimer = 0; game.score = 0; game.runTime = 0;
+    game.yaw = spawn.yaw; game.yawVel = 0;
+    game.speed = 0; game.drift = 0; game.boost = 0; game.boostPulse = 0; game.heat = 0; game.heatWarned = false; game.inLava = false; game.combo = 1; game.comboTimer = 0; game.score = 0; game.runTime = 0;
     game.pickupTimer = CFG.pickupInterval; game.rivalTimer = CFG.rivalInterval; game.autopilotTime = 0;
     game.shake = 0; game.lastDt = 0; game.steerInput = 0;
     game.invuln = 0;
+    game.effects = { shield: 0, mult: 0, magnet: 0 };
     game.grounded = true;
     game.onRamp = false;
     game.rampTakeoff = 0;
     game.mod = defaultMods();
-    if (game.perk) applyPerk(game.perk);
+    // Attract loop drives stock; version-2 replays from before stacking carry a single `perk`.
+    applyPerks(replay ? replay.perks || (replay.perk ? [replay.perk] : []) : game.mode === 'player' ? game.perks : []);
+    startGhost(game.mode === 'player');
     buildArena(game.map);
+    if (game.runMode.beacons && !world.gates.length) buildBeacons(sprintCourse(game.map, game.runMode.beacons));
     ui.hud.classList.remove('hidden');
     document.querySelector('#resumeBtn').disabled = false;
     if (!game.focusCaptured) show(ui.focusGate);
     focusCanvas();
-    setToast(mode === 'demo' ? 'Attract loop' : 'Drive!');
+    setToast(mode === 'demo' ? 'Attract loop' : replay ? `Replay - ${game.runMode.name}` : `${game.runMode.name} - Drive!`);
   }
 
-  function applyPerk(perk) {
-    if (!perk) return;
-    const p = PERKS.find(p => p.id === perk.id) || perk;
-    try { p.apply(game); } catch { /* ignore */ }
+  function applyPerks(ids) {
+    game.perkHooks = {};
+    ids.map(perkById).filter(Boolean).forEach(p => {
+      try { p.apply?.(game); } catch (err) { console.error(err); setToast(`Perk ${p.name} failed to apply`); }
+      Object.entries(p.hooks || {}).forEach(([name, fn]) => { (game.perkHooks[name] ||= []).push(fn); });
+    });
+    renderHudPerks(ids);
+  }
+
+  function firePerks(name, ...args) {
+    game.perkHooks[name]?.forEach(fn => fn(game, ...args));
   }
 
   /* Arena build */
   function buildArena(def) {
     if (world.arenaGroup) { scene.remove(world.arenaGroup); world.arenaGroup = new THREE.Group(); scene.add(world.arenaGroup); }
-    world.hazardMeshes = []; world.boostMeshes = [];
+    world.hazardMeshes = []; world.boostMeshes = []; world.beacons = []; world.gates = [];
     world.hazardLights?.forEach(l => scene.remove(l)); world.hazardLights = [];
 
     // Entire floor = lava circles (per request).
@@ -1020,7 +1666,50 @@ BASELINE AUDIT (before fixes):
       world.arenaGroup.add(mesh);
     });
 
-    // Remove circle decals on the floor (hazards/boost rings are not rendered).
+    // Hot lava pools (these are the hazards that build heat); brighter than the cooled floor crust.
+    (def.hazards || []).forEach(h => {
+      const tex = lavaTex.clone();
+      tex.needsUpdate = true;
+      tex.repeat.set(h.r / 40, h.r / 40);
+      const mat = new THREE.MeshStandardMaterial({ color: 0xff6a3a, map: tex, emissive: 0xff3c14, emissiveMap: tex, emissiveIntensity: 1.1, roughness: 0.6, metalness: 0.0 });
+      const geo = new THREE.CircleGeometry(h.r, 48);
+      geo.rotateX(-Math.PI / 2);
+      const mesh = new THREE.Mesh(geo, mat);
+      mesh.position.set(h.x, 0.04, h.z);
+      mesh.receiveShadow = true;
+      world.arenaGroup.add(mesh);
+      world.hazardMeshes.push({ ...h, mesh });
+    });
+
+    // Boost rings: entering one refills boost and kicks the car forward (per-pad cooldown).
+    (def.boosts || []).forEach(b => {
+      const geo = new THREE.RingGeometry(b.r * 0.82, b.r, 64, 1, 0, Math.PI * 1.7);
+      geo.rotateX(-Math.PI / 2);
+      const mat = new THREE.MeshStandardMaterial({ color: 0x5c7bff, emissive: 0x3a8cff, emissiveIntensity: 0.9, roughness: 0.4, metalness: 0.1, transparent: true, opacity: 0.85, side: THREE.DoubleSide, depthWrite: false });
+      const mesh = new THREE.Mesh(geo, mat);
+      mesh.position.set(b.x, 0.06, b.z);
+      world.arenaGroup.add(mesh);
+      world.boostMeshes.push({ ...b, mesh, cd: 0 });
+    });
+
+    // Checkpoint gates: two posts and a banner, oriented so +yaw is the direction of travel.
+    const postGeo = new THREE.BoxGeometry(1.6, 10, 1.6);
+    (def.checkpoints || []).forEach((c, i) => {
+      const mat = new THREE.MeshStandardMaterial({ color: i === 0 ? 0xf4f7ff : 0xffb347, emissive: i === 0 ? 0x8fa6ff : 0xff7a1a, emissiveIntensity: 0.3, roughness: 0.4, metalness: 0.2 });
+      const gate = new THREE.Group();
+      const postL = new THREE.Mesh(postGeo, mat);
+      const postR = new THREE.Mesh(postGeo, mat);
+      postL.position.set(-c.w * 0.5, 5, 0);
+      postR.position.set(c.w * 0.5, 5, 0);
+      postL.castShadow = postR.castShadow = true;
+      const banner = new THREE.Mesh(new THREE.BoxGeometry(c.w + 1.6, 1.4, 0.5), mat);
+      banner.position.set(0, 10, 0);
+      gate.add(postL, postR, banner);
+      gate.position.set(c.x, 0, c.z);
+      gate.rotation.y = c.yaw || 0;
+      world.arenaGroup.add(gate);
+      world.gates.push({ ...c, yaw: c.yaw || 0, mesh: gate, mat });
+    });
 
     const propGeo = new THREE.ConeGeometry(2, 9, 6);
     const propMat = new THREE.MeshStandardMaterial({ color: 0x7cf0d8, emissive: 0x1f3a32, roughness: 0.55, metalness: 0.12 });
@@ -1032,16 +1721,17 @@ BASELINE AUDIT (before fixes):
     const rot = new THREE.Matrix4();
     const scl = new THREE.Matrix4();
     for (let i = 0; i < propCount; i++) {
-      const ang = Math.random() * Math.PI * 2;
-      const dist = def.size * (0.82 + Math.random() * 0.34);
-      const h = 6 + Math.random() * 10;
+      const ang = rand() * Math.PI * 2;
+      const dist = def.size * (0.82 + rand() * 0.34);
+      const h = 6 + rand() * 10;
       m.makeTranslation(Math.cos(ang) * dist, h * 0.5, Math.sin(ang) * dist);
-      rot.makeRotationY(Math.random() * Math.PI * 2);
-      scl.makeScale(0.85 + Math.random() * 0.65, h / 9, 0.85 + Math.random() * 0.65);
+      rot.makeRotationY(rand() * Math.PI * 2);
+      scl.makeScale(0.85 + rand() * 0.65, h / 9, 0.85 + rand() * 0.65);
       m.multiply(rot).multiply(scl);
       props.setMatrixAt(i, m);
     }
     world.arenaGroup.add(props);
+    world.props = props;
 
     const rockGeo = new THREE.IcosahedronGeometry(1.6, 0);
     const rockMat = new THREE.MeshStandardMaterial({ color: 0x1a2233, roughness: 0.95, metalness: 0.02, emissive: 0x070a12, emissiveIntensity: 0.15 });
@@ -1050,17 +1740,19 @@ BASELINE AUDIT (before fixes):
     rocks.castShadow = true;
     rocks.receiveShadow = true;
     for (let i = 0; i < rockCount; i++) {
-      const ang = Math.random() * Math.PI * 2;
-      const dist = def.size * (0.2 + Math.random() * 0.78);
+      const ang = rand() * Math.PI * 2;
+      const dist = def.size * (0.2 + rand() * 0.78);
       const x = Math.cos(ang) * dist;
       const z = Math.sin(ang) * dist;
       m.makeTranslation(x, 0.8, z);
-      rot.makeRotationY(Math.random() * Math.PI * 2);
-      scl.makeScale(0.55 + Math.random() * 1.6, 0.55 + Math.random() * 1.3, 0.55 + Math.random() * 1.6);
+      rot.makeRotationY(rand() * Math.PI * 2);
+      scl.makeScale(0.55 + rand() * 1.6, 0.55 + rand() * 1.3, 0.55 + rand() * 1.6);
       m.multiply(rot).multiply(scl);
       rocks.setMatrixAt(i, m);
     }
     world.arenaGroup.add(rocks);
+    world.rocks = rocks;
+    applyPropDensity();
 
     activeRivals.length = 0; activePickups.length = 0;
     rivalPool.forEach(m => m.visible = false);
@@ -1076,29 +1768,64 @@ BASELINE AUDIT (before fixes):
     const dt = Math.min(CFG.dtMax, t - (game.last || t));
     game.last = t;
     if (!Number.isFinite(dt) || dt <= 0) return requestAnimationFrame(tick);
-    if (game.state === 'playing' || game.state === 'attract') update(dt);
+    game.lastDt = dt;
+    game.fps = game.fps ? lerp(game.fps, 1 / dt, 0.08) : 1 / dt;
+    pollGamepad();
+    // Fixed-step simulation: frame time accumulates and is consumed in CFG.step slices.
+    if (game.state === 'playing' || game.state === 'attract') {
+      game.acc += dt;
+      while (game.acc >= CFG.step && (game.state === 'playing' || game.state === 'attract')) {
+        update(CFG.step);
+        game.acc -= CFG.step;
+      }
+    } else game.acc = 0;
+    if (game.state === 'playing' || game.state === 'attract') updateGovernor(dt);
+    if (game.state === 'editor') updateEditorCamera(dt);
+    updateAudio();
+    if (preview.hover && game.state === 'menu') { preview.spin += dt * 0.6; drawPreview(ui.mapPreview, MAPS[game.mapIndex], { spin: preview.spin }); }
     render();
     requestAnimationFrame(tick);
   }
 
   /* Input */
+  function pollGamepad() {
+    const pads = navigator.getGamepads ? navigator.getGamepads() : [];
+    const gp = Array.from(pads || []).find(p => p && p.connected);
+    if (!gp) { pad.connected = false; pad.steer = pad.throttle = pad.brake = 0; pad.drift = pad.boost = pad.pause = false; return; }
+    const dz = Number(game.settings.padDeadzone) || 0;
+    const shape = v => (Math.abs(v) <= dz ? 0 : Math.sign(v) * (Math.abs(v) - dz) / (1 - dz));
+    const btn = i => gp.buttons[i] || { pressed: false, value: 0 };
+    pad.connected = true;
+    pad.id = gp.id;
+    pad.steer = clamp(shape(gp.axes[0] || 0), -1, 1);
+    // RT/LT are analog on most pads; A is a digital throttle fallback.
+    pad.throttle = Math.max(clamp(shape(btn(7).value), 0, 1), btn(0).pressed ? 1 : 0);
+    pad.brake = clamp(shape(btn(6).value), 0, 1);
+    pad.drift = btn(5).pressed || btn(1).pressed;
+    pad.boost = btn(4).pressed || btn(2).pressed;
+    const pause = btn(9).pressed;
+    if (pause && !pad.pause) handleEscape();
+    pad.pause = pause;
+  }
+
   function readInput() {
-    const scheme = game.settings.controls;
-    const left = scheme === 'arrows' ? 'arrowleft' : 'a';
-    const right = scheme === 'arrows' ? 'arrowright' : 'd';
-    const up = scheme === 'arrows' ? 'arrowup' : 'w';
-    const down = scheme === 'arrows' ? 'arrowdown' : 's';
-    const leftDown = keys[left] || touch.left;
-    const rightDown = keys[right] || touch.right;
+    const leftDown = actionDown('left');
+    const rightDown = actionDown('right');
+    const analogSteer = pad.steer + touch.steer;
+    // Holding touch boost also drives forward, as the old touch controls did.
+    const throttle = actionDown('throttle') ? 1 : Math.max(pad.throttle, touch.throttle, touch.boost ? 1 : 0);
+    const brakeLevel = actionDown('brake') ? 1 : Math.max(pad.brake, touch.brake);
     return {
       // Steer axis: left is negative, right is positive (so the yawVel formula below can be positive).
-      steer: (rightDown ? 1 : 0) - (leftDown ? 1 : 0),
-      left: leftDown,
-      right: rightDown,
-      accel: keys[up] || touch.accel || false,
-      brake: keys[down] || false,
-      drift: keys[' '] || touch.drift || false,
-      boost: keys['shift'] || touch.boost || false,
+      steer: clamp((rightDown ? 1 : 0) - (leftDown ? 1 : 0) + analogSteer, -1, 1),
+      left: leftDown || analogSteer < 0,
+      right: rightDown || analogSteer > 0,
+      accel: throttle > 0,
+      brake: brakeLevel > 0,
+      throttle,
+      brakeLevel,
+      drift: actionDown('drift') || touch.drift || pad.drift,
+      boost: actionDown('boost') || touch.boost || pad.boost,
     };
   }
 
@@ -1111,42 +1838,34 @@ BASELINE AUDIT (before fixes):
       accel: true,
       brake: false,
       drift: Math.sin(game.autopilotTime * 1.3) > 0.65,
-      boost: Math.random() > 0.985,
+      boost: rand() > 0.985,
     };
   }
 
   /* Update */
   function update(dt) {
-    const input = game.state === 'attract' ? autoInput(dt) : readInput();
+    const input = game.state === 'attract' ? autoInput(dt) : game.playback ? replayInput() : readInput();
+    if (game.inputRec) recordInput(input);
     game.runTime += dt;
-    game.lastDt = dt;
-    game.fps = game.fps ? lerp(game.fps, 1 / dt, 0.08) : 1 / dt;
 
     const forward = new THREE.Vector3(Math.sin(game.yaw), 0, Math.cos(game.yaw));
     const right = new THREE.Vector3(forward.z, 0, -forward.x);
 
-    const speedScale = Number(game.settings.speedScale || 1);
-    const speed01 = clamp(game.speed / Math.max(1, CFG.steerRefSpeed * speedScale), 0, 1);
+    const speedScale = game.speedScale;
 
     const steerInput = input.steer;
     game.steerInput = steerInput;
     const accel01 = clamp(game.speed / Math.max(1, CFG.fxRefSpeed * 2.5 * speedScale), 0, 1);
     const throttleCurve = 1 - Math.pow(accel01, CFG.throttleCurve);
     const effAccel = CFG.accel * throttleCurve;
-    if (input.accel) game.vel.addScaledVector(forward, effAccel * dt);
-    if (input.brake) game.vel.addScaledVector(forward, -CFG.brake * dt);
+    // Digital sources (keys, attract loop) only set accel/brake; analog pads add throttle/brakeLevel.
+    const throttle = input.throttle ?? (input.accel ? 1 : 0);
+    const brakeLevel = input.brakeLevel ?? (input.brake ? 1 : 0);
+    game.throttle = throttle;
+    if (throttle > 0) game.vel.addScaledVector(forward, effAccel * throttle * dt);
+    if (brakeLevel > 0) game.vel.addScaledVector(forward, -CFG.brake * brakeLevel * dt);
 
-    const steerGrip = (input.drift ? CFG.driftGrip : CFG.lateralGrip) * game.mod.grip;
-    const steerRate = (input.drift ? CFG.steerDrift : CFG.steer) * game.mod.steer * (0.55 + (1 - speed01) * 0.6);
-    game.yawVel = lerp(game.yawVel, (steerInput) * steerRate, dt * (input.drift ? 6 : 8));
-    game.yaw += game.yawVel * dt;
-
-    const fSpeed = game.vel.dot(forward);
-    let side = game.vel.dot(right);
-    side = lerp(side, 0, dt * steerGrip);
-    const vy = game.vel.y;
-    game.vel.copy(forward.clone().multiplyScalar(fSpeed)).add(right.clone().multiplyScalar(side));
-    game.vel.y = vy;
+    steerCar(game, forward, right, steerInput, input.drift, dt, game.mod.grip, game.mod.steer);
 
     const baseDrag = CFG.drag + (input.accel ? 0 : CFG.coastDrag);
     const dragMul = Math.max(0, 1 - baseDrag * dt);
@@ -1154,13 +1873,13 @@ BASELINE AUDIT (before fixes):
     game.vel.z *= dragMul;
     game.speed = Math.hypot(game.vel.x, game.vel.z);
     const speedNormNow = clamp(game.speed / Math.max(1, CFG.fxRefSpeed * speedScale), 0, 1);
-    const scoreMult = 1;
+    const mult = scoreMult();
 
     if (input.drift) {
       game.drift = clamp(game.drift + CFG.driftGain * dt, 0, 100);
       game.speed *= 0.995;
       game.drifting = true;
-      if (game.drift > 25) { addCombo(0.05 * dt); game.score += 3 * dt * scoreMult; }
+      if (game.drift > 25) { addCombo(0.05 * dt); game.score += 3 * dt * mult; }
     } else if (game.drifting) {
       if (game.drift > 5) {
         const release01 = clamp(game.drift / 100, 0, 1);
@@ -1170,9 +1889,10 @@ BASELINE AUDIT (before fixes):
         game.vel.addScaledVector(forward, CFG.boostImpulse * (0.3 + release01));
         game.shake = Math.max(game.shake, 0.22 + release01 * 0.35);
         addCombo(0.35 + release01 * 0.4);
-        game.score += (70 + 180 * release01) * game.combo * scoreMult;
+        game.score += (70 + 180 * release01) * game.combo * mult;
         playTone(560 + release01 * 180, 0.07, 0.12);
         setToast('Drift boost!');
+        firePerks('driftRelease', release01);
       }
       game.drift = 0;
       game.drifting = false;
@@ -1186,54 +1906,100 @@ BASELINE AUDIT (before fixes):
     if (game.boostPulse > 0) { game.vel.addScaledVector(forward, CFG.boostImpulse * dt); game.boostPulse -= dt; game.shake = Math.max(game.shake, 0.25); }
 
     // Horizontal motion
+    const prevX = game.pos.x, prevZ = game.pos.z;
     game.pos.x += game.vel.x * dt;
     game.pos.z += game.vel.z * dt;
     clampToArena(game.map, game.pos, game.vel);
+    updateLaps(prevX, prevZ);
 
     applyHazards(dt, game.pos);
+    applyBoostPads(dt, game.pos, forward);
     animateArenaFx(game.runTime);
     updateSpeedFx(dt, speedNormNow, !!(input.boost || game.boostPulse > 0.01));
     updateParticles(dt, forward, input);
 
     game.comboTimer = Math.max(0, game.comboTimer - dt);
     if (game.comboTimer <= 0) game.combo = Math.max(1, game.combo - 0.2 * dt);
-    game.score += (game.speed * 0.06 + (input.drift ? 3 : 0)) * dt * game.combo * scoreMult;
+    game.score += (game.speed * 0.06 + (input.drift ? 3 : 0)) * dt * game.combo * mult;
 
     game.invuln = Math.max(0, game.invuln - dt);
+    updateEffects(dt);
     game.shake = Math.max(0, game.shake - dt * 1.6);
 
     // Vertical (ramps + jumps + platforms)
-    const g = sampleGround(game.map, game.pos.x, game.pos.z);
+    groundCar(game, dt);
+
+    updatePickups(dt);
+    updateRivals(dt);
+    updateMode(dt);
+    game.boosting = !!(input.boost && game.boost > 0) || game.boostPulse > 0;
+    recordGhost(game.boosting);
+    updateGhost();
+    updatePlayerMesh(forward, dt);
+    updateCamera(forward);
+    updateHUD();
+  }
+
+  /* Car model */
+  // Shared by the player (game is the body) and rivals: anything with pos, vel, speed, yaw, yawVel, grounded, onRamp, rampTakeoff.
+  // forward/right are taken from the yaw at the start of the step, before steering turns the car.
+  function steerCar(car, forward, right, steer, drift, dt, grip = 1, steerMul = 1) {
+    const speed01 = clamp(car.speed / Math.max(1, CFG.steerRefSpeed * game.speedScale), 0, 1);
+    const steerGrip = (drift ? CFG.driftGrip : CFG.lateralGrip) * grip;
+    const steerRate = (drift ? CFG.steerDrift : CFG.steer) * steerMul * (0.55 + (1 - speed01) * 0.6);
+    car.yawVel = lerp(car.yawVel, steer * steerRate, dt * (drift ? 6 : 8));
+    car.yaw += car.yawVel * dt;
+
+    const fSpeed = car.vel.dot(forward);
+    const side = lerp(car.vel.dot(right), 0, dt * steerGrip);
+    const vy = car.vel.y;
+    car.vel.copy(forward).multiplyScalar(fSpeed).addScaledVector(right, side);
+    car.vel.y = vy;
+  }
+
+  // Ramps launch, platforms hold, everything else falls under gravity.
+  function groundCar(car, dt) {
+    const g = sampleGround(game.map, car.pos.x, car.pos.z);
     const targetY = g.y;
     const snapEps = 0.65;
-    if (game.pos.y <= targetY + snapEps && game.vel.y <= 0) {
-      game.pos.y = targetY;
-      game.vel.y = 0;
-      game.grounded = true;
+    if (car.pos.y <= targetY + snapEps && car.vel.y <= 0) {
+      car.pos.y = targetY;
+      car.vel.y = 0;
+      car.grounded = true;
       if (g.ramp) {
-        game.onRamp = true;
-        const along = game.vel.dot(g.ramp.dir);
-        game.rampTakeoff = Math.max(game.rampTakeoff, Math.max(0, along) * g.ramp.slope * CFG.rampLaunchScale);
+        car.onRamp = true;
+        const along = car.vel.dot(g.ramp.dir);
+        car.rampTakeoff = Math.max(car.rampTakeoff, Math.max(0, along) * g.ramp.slope * CFG.rampLaunchScale);
       } else {
-        if (game.onRamp && game.rampTakeoff > 0.1) game.vel.y = Math.max(game.vel.y, game.rampTakeoff);
-        game.onRamp = false;
-        game.rampTakeoff = 0;
+        if (car.onRamp && car.rampTakeoff > 0.1) car.vel.y = Math.max(car.vel.y, car.rampTakeoff);
+        car.onRamp = false;
+        car.rampTakeoff = 0;
       }
     } else {
-      if (game.onRamp && game.rampTakeoff > 0.1) game.vel.y = Math.max(game.vel.y, game.rampTakeoff);
-      game.onRamp = false;
-      game.rampTakeoff = 0;
-      game.grounded = false;
-      game.vel.y -= CFG.gravity * dt;
-      game.pos.y += game.vel.y * dt;
-      if (game.pos.y <= 0) { game.pos.y = 0; game.vel.y = 0; game.grounded = true; }
+      if (car.onRamp && car.rampTakeoff > 0.1) car.vel.y = Math.max(car.vel.y, car.rampTakeoff);
+      car.onRamp = false;
+      car.rampTakeoff = 0;
+      car.grounded = false;
+      car.vel.y -= CFG.gravity * dt;
+      car.pos.y += car.vel.y * dt;
+      if (car.pos.y <= 0) { car.pos.y = 0; car.vel.y = 0; car.grounded = true; }
     }
+  }
 
-    updatePickups(dt);
-    updateRivals(dt);
-    updatePlayerMesh(forward, dt);
-    updateCamera(forward);
-    updateHUD();
+  // Equal-mass circle contact: push the pair apart and trade part of the closing speed. Returns closing speed (0 if none).
+  function collideCars(a, b) {
+    const dx = b.pos.x - a.pos.x, dz = b.pos.z - a.pos.z;
+    const d = Math.hypot(dx, dz), reach = CFG.carRadius * 2;
+    if (d >= reach || d < 1e-6 || Math.abs(a.pos.y - b.pos.y) > 1.2) return 0;
+    const nx = dx / d, nz = dz / d, push = (reach - d) / 2;
+    a.pos.x -= nx * push; a.pos.z -= nz * push;
+    b.pos.x += nx * push; b.pos.z += nz * push;
+    const closing = (a.vel.x - b.vel.x) * nx + (a.vel.z - b.vel.z) * nz;
+    if (closing <= 0) return 0;
+    const j = closing * (1 + CFG.carRestitution) / 2;
+    a.vel.x -= nx * j; a.vel.z -= nz * j;
+    b.vel.x += nx * j; b.vel.z += nz * j;
+    return closing;
   }
 
   function clampToArena(map, pos, vel) {
@@ -1254,9 +2020,12 @@ BASELINE AUDIT (before fixes):
   }
 
   function applyHazards(dt, pos) {
-    // Visual-only lava embers; no slowdown/overheat mechanics.
+    // Lava builds heat only while touching the floor (jumping or riding a ring over it is safe).
+    const low = pos.y < 0.5;
+    let inLava = false;
     game.map.hazards?.forEach(h => {
       const d2 = (pos.x - h.x) ** 2 + (pos.z - h.z) ** 2;
+      if (d2 < h.r * h.r && low) inLava = true;
       if (d2 < h.r * h.r && Math.random() < 10 * dt) {
         const ang = Math.random() * Math.PI * 2;
         const rr = Math.sqrt(Math.random()) * h.r;
@@ -1272,6 +2041,58 @@ BASELINE AUDIT (before fixes):
         );
       }
     });
+
+    // Off the lava the car cools down; boost zones vent heat much faster.
+    const venting = !inLava && insideZone(game.map.boosts, pos);
+    if (inLava) game.heat = clamp(game.heat + CFG.heatGain * game.mod.heat * dt, 0, 100);
+    else game.heat = clamp(game.heat - (venting ? CFG.heatVent : CFG.heatCool) * dt, 0, 100);
+    game.inLava = inLava;
+
+    if (game.heat > 70 && !game.heatWarned) { game.heatWarned = true; setToast('Overheating!'); playTone(320, 0.06, 0.1); }
+    if (game.heat < 45) game.heatWarned = false;
+    if (game.heat >= 100) overheat();
+  }
+
+  function applyBoostPads(dt, pos, forward) {
+    for (let i = 0; i < world.boostMeshes.length; i++) {
+      const pad = world.boostMeshes[i];
+      pad.cd = Math.max(0, pad.cd - dt);
+      if (pad.cd > 0 || pos.y > 1.5) continue;
+      if ((pos.x - pad.x) ** 2 + (pos.z - pad.z) ** 2 >= pad.r * pad.r) continue;
+      pad.cd = CFG.padCooldown;
+      game.boost = clamp(game.boost + CFG.padBoost * game.mod.boostGain, 0, 140);
+      game.vel.addScaledVector(forward, CFG.padImpulse);
+      game.boostPulse = Math.max(game.boostPulse, 0.3);
+      game.shake = Math.max(game.shake, 0.3);
+      addCombo(0.2);
+      playTone(720, 0.06, 0.1);
+      setToast('Boost pad!');
+    }
+  }
+
+  function insideZone(zones, pos) {
+    return (zones || []).some(z => (pos.x - z.x) ** 2 + (pos.z - z.z) ** 2 < z.r * z.r);
+  }
+
+  function overheat() {
+    // Attract loop never ends; just cool the car back down.
+    if (game.state === 'attract') { game.heat = 0; return; }
+    for (let i = 0; i < 40; i++) {
+      spawnParticle(
+        game.pos.x + (Math.random() - 0.5) * 1.6,
+        0.5 + Math.random() * 0.8,
+        game.pos.z + (Math.random() - 0.5) * 1.6,
+        (Math.random() - 0.5) * 10,
+        4 + Math.random() * 6,
+        (Math.random() - 0.5) * 10,
+        1.0, 0.35 + Math.random() * 0.3, 0.15,
+        0.5 + Math.random() * 0.5
+      );
+    }
+    game.vel.set(0, 0, 0);
+    game.shake = Math.max(game.shake, 1.0);
+    playTone(140, 0.25, 0.16);
+    endRun('Burned out');
   }
 
   function animateArenaFx(t) {
@@ -1288,13 +2109,16 @@ BASELINE AUDIT (before fixes):
     for (let i = 0; i < world.boostMeshes.length; i++) {
       const mesh = world.boostMeshes[i].mesh;
       const mat = mesh.material;
-      if (mat && 'emissiveIntensity' in mat) mat.emissiveIntensity = 0.85 + 0.45 * Math.sin(t * 3.2 + i);
+      // Spent pads dim until their cooldown expires.
+      const ready = world.boostMeshes[i].cd <= 0 ? 1 : 0.25;
+      if (mat && 'emissiveIntensity' in mat) mat.emissiveIntensity = (0.85 + 0.45 * Math.sin(t * 3.2 + i)) * ready;
       mesh.rotation.y = t * 0.7 + i * 0.4;
     }
+    for (let i = 0; i < world.gates.length; i++) {
+      world.gates[i].mat.emissiveIntensity = i === game.nextGate ? 1.1 + 0.5 * Math.sin(t * 6) : 0.3;
+    }
   }
 
-  // Heat/boost zones are visual-only now.
-
   function sampleGround(map, x, z) {
     let bestY = 0;
     let bestRamp = null;
@@ -1381,7 +2205,7 @@ BASELINE AUDIT (before fixes):
     }
     camera.position.lerp(target, CFG.cameraLag);
     camera.lookAt(game.pos.x, game.pos.y + 1.2, game.pos.z);
-    const speedNorm = clamp(game.speed / Math.max(1, CFG.fxRefSpeed * (Number(game.settings.speedScale || 1))), 0, 1);
+    const speedNorm = clamp(game.speed / Math.max(1, CFG.fxRefSpeed * game.speedScale), 0, 1);
     camera.fov = lerp(camera.fov, CFG.fovBase + speedNorm * CFG.fovBoost, 0.12);
     camera.updateProjectionMatrix();
   }
@@ -1397,7 +2221,7 @@ BASELINE AUDIT (before fixes):
       p.mesh.position.copy(pos);
       p.mesh.rotation.y += dt * 2.6;
       const dist2 = pos.clone().sub(game.pos).lengthSq();
-      const pullRange = (CFG.pickupRange * game.mod.pickRange);
+      const pullRange = CFG.pickupRange * game.mod.pickRange * (game.effects.magnet > 0 ? CFG.magnetRange : 1);
       if (dist2 < pullRange * pullRange) {
         if (dist2 < 9) { collectPickup(p); activePickups.splice(i, 1); continue; }
         const dir = game.pos.clone().sub(pos).multiplyScalar(0.05);
@@ -1412,117 +2236,292 @@ BASELINE AUDIT (before fixes):
     mesh.visible = true;
     let pos;
     for (let tries = 0; tries < 10; tries++) {
-      const ang = Math.random() * Math.PI * 2;
-      const r = Math.random() * game.map.size * 0.8;
+      const ang = rand() * Math.PI * 2;
+      const r = rand() * game.map.size * 0.8;
       pos = new THREE.Vector3(Math.cos(ang) * r, 0, Math.sin(ang) * r);
       if (!insideHazard(game.map, pos)) break;
     }
     if (!pos) pos = new THREE.Vector3();
-    const type = 'coin';
-    mesh.material.color.setHex(0xff9f40);
-    mesh.material.emissive.setHex(0xff9f40);
-    activePickups.push({ pos, type, mesh });
+    const def = pickPickup();
+    mesh.geometry = def.geometry;
+    mesh.material.color.setHex(def.color);
+    mesh.material.emissive.setHex(def.color);
+    activePickups.push({ pos, type: def.id, mesh });
+  }
+
+  function spawnPoint(map) {
+    if (map.spawn) return map.spawn;
+    // Lap maps start just behind the start/finish gate, facing through it.
+    const start = map.checkpoints?.[0];
+    if (start) {
+      const yaw = start.yaw || 0;
+      return { x: start.x - Math.sin(yaw) * 20, z: start.z - Math.cos(yaw) * 20, yaw };
+    }
+    // Several arenas have lava at the centre: walk outward until clear of hazards and ramps, facing along the circle.
+    for (let r = 0; r < map.size * 0.8; r += 20) {
+      for (let a = 0; a < 8; a++) {
+        const ang = Math.PI * 0.5 + a * Math.PI / 4;
+        const x = Math.cos(ang) * r;
+        const z = Math.sin(ang) * r;
+        const clear = (map.hazards || []).every(h => Math.hypot(x - h.x, z - h.z) > h.r + 20);
+        if (clear && sampleGround(map, x, z).y === 0) return { x, z, yaw: r ? Math.atan2(-z, x) : 0 };
+      }
+    }
+    return { x: 0, z: 0, yaw: 0 };
   }
 
   function insideHazard(map, pos) {
-    return (map.hazards || []).some(h => {
-      const d2 = (pos.x - h.x) ** 2 + (pos.z - h.z) ** 2;
-      return d2 < h.r * h.r;
-    });
+    return insideZone(map.hazards, pos);
+  }
+
+  function pickPickup() {
+    let roll = rand() * PICKUPS.reduce((n, p) => n + p.weight, 0);
+    return PICKUPS.find(p => (roll -= p.weight) < 0) || PICKUPS[0];
+  }
+
+  function scoreMult() { return game.effects.mult > 0 ? 2 : 1; }
+
+  function updateEffects(dt) {
+    Object.keys(game.effects).forEach(k => { game.effects[k] = Math.max(0, game.effects[k] - dt); });
   }
 
   function collectPickup(p) {
+    const def = PICKUPS.find(d => d.id === p.type);
+    if (def.dur) game.effects[def.id] = def.dur;
     if (p.type === 'coin') {
-      game.score += 180 * game.combo;
+      game.score += 180 * game.combo * scoreMult();
       addCombo(0.5);
-      playTone(480, 0.06, 0.12);
-      setToast('Coin');
+    } else if (p.type === 'boost') {
+      game.boost = clamp(game.boost + CFG.boostCell, 0, 140);
+    } else if (p.type === 'heatsink') {
+      game.heat = Math.max(0, game.heat - CFG.heatSink);
+      game.heatWarned = false;
+    } else if (p.type === 'shield') {
+      game.invuln = Math.max(game.invuln, def.dur);
+    } else if (p.type === 'emp') {
+      let hit = 0;
+      activeRivals.forEach(r => {
+        if (Math.hypot(r.pos.x - game.pos.x, r.pos.z - game.pos.z) > CFG.empRadius) return;
+        r.stun = CFG.empStun;
+        hit++;
+      });
+      game.shake = Math.max(game.shake, 0.5);
+      setToast(hit ? `EMP - ${hit} stunned` : 'EMP - nothing in range');
     }
+    firePerks('pickup', def);
+    if (p.type !== 'emp') setToast(def.dur ? `${def.name} ${game.effects[def.id].toFixed(0)}s` : def.name);
+    playTone(p.type === 'coin' ? 480 : 620, 0.06, 0.12);
     p.mesh.visible = false;
   }
 
   /* Rivals */
   function spawnRival() {
-    const mesh = rivalPool.find(m => !m.visible);
+    const type = pick(Object.keys(RIVAL_TYPES));
+    const mesh = rivalPool.find(m => !m.visible && m.userData.type === type);
     if (!mesh || !game.map) return;
     mesh.visible = true;
-    const ang = Math.random() * Math.PI * 2;
-    const r = game.map.size * (0.4 + Math.random() * 0.4);
-    const pos = new THREE.Vector3(Math.cos(ang) * r, 0, Math.sin(ang) * r);
-    const type = pick(['racer', 'blocker', 'hunter']);
-    activeRivals.push({ pos, vel: new THREE.Vector3(), yaw: Math.random() * Math.PI * 2, speed: 0, mesh, type, nearCd: 0 });
+    let pos;
+    for (let tries = 0; tries < 10; tries++) {
+      const ang = rand() * Math.PI * 2;
+      const r = game.map.size * (0.4 + rand() * 0.4);
+      pos = new THREE.Vector3(Math.cos(ang) * r, 0, Math.sin(ang) * r);
+      if (!insideHazard(game.map, pos)) break;
+    }
+    activeRivals.push({ pos, vel: new THREE.Vector3(), yaw: rand() * Math.PI * 2, yawVel: 0, speed: 0, grounded: true, onRamp: false, rampTakeoff: 0, mesh, type, nearCd: 0 });
+  }
+
+  // World-space point each archetype steers for, plus accel (push) and top-speed (top) multipliers.
+  function rivalTarget(r) {
+    const p = game.pos;
+    if (r.type === 'racer') {
+      // Intercept: lead the player by the time it would take to close the gap at the current speed.
+      const t = Math.min(1.5, Math.hypot(p.x - r.pos.x, p.z - r.pos.z) / Math.max(30, r.speed));
+      return { x: p.x + game.vel.x * t, z: p.z + game.vel.z * t, push: 1, top: 1 };
+    }
+    if (r.type === 'blocker') {
+      // Sit on the line between the player and the closest pickup; with none out, park ahead of the player.
+      let best = null, bestD = Infinity;
+      activePickups.forEach(k => { const d = (k.pos.x - p.x) ** 2 + (k.pos.z - p.z) ** 2; if (d < bestD) { bestD = d; best = k; } });
+      if (best) return { x: p.x + (best.pos.x - p.x) * 0.55, z: p.z + (best.pos.z - p.z) * 0.55, push: 1, top: 1 };
+      return { x: p.x + game.vel.x * 1.2, z: p.z + game.vel.z * 1.2, push: 1, top: 1 };
+    }
+    // Hunter: shadows at a distance while the player is quick, then lunges once they drop below hunterSlowSpeed.
+    const slow = clamp(1 - game.speed / CFG.hunterSlowSpeed, 0, 1);
+    return { x: p.x - game.vel.x * 0.4 * (1 - slow), z: p.z - game.vel.z * 0.4 * (1 - slow), push: 0.7 + slow * 1.1, top: 0.8 + slow * 0.3 };
+  }
+
+  // Steer around lava: if the rival or its look-ahead point is in a hazard, push out and bleed off inward speed.
+  function avoidLava(r, desired, dt) {
+    const ax = r.pos.x + r.vel.x * CFG.lavaLookahead, az = r.pos.z + r.vel.z * CFG.lavaLookahead;
+    let near = false;
+    (game.map.hazards || []).forEach(h => {
+      const here = Math.hypot(r.pos.x - h.x, r.pos.z - h.z), ahead = Math.hypot(ax - h.x, az - h.z);
+      const dx = here < ahead ? r.pos.x - h.x : ax - h.x, dz = here < ahead ? r.pos.z - h.z : az - h.z;
+      const d = Math.min(here, ahead), reach = h.r + CFG.lavaMargin;
+      if (d >= reach) return;
+      near = true;
+      // Outward weight always beats the unit pull toward the target, so a target across the lava can't pin a rival inside.
+      const w = 1.2 + (1 - d / reach) * 3;
+      const nx = d > 1e-3 ? dx / d : 1, nz = d > 1e-3 ? dz / d : 0;
+      // Pick a side once and stick with it, so rivals skirt round the edge instead of dithering.
+      r.lavaSide = r.lavaSide || (nx * desired.z - nz * desired.x >= 0 ? 1 : -1);
+      desired.x += (nx + nz * r.lavaSide) * w;
+      desired.z += (nz - nx * r.lavaSide) * w;
+      const inward = r.vel.x * nx + r.vel.z * nz;
+      if (inward < 0) r.vel.addScaledVector(new THREE.Vector3(nx, 0, nz), -inward * Math.min(1, w * dt * 2));
+    });
+    if (!near) r.lavaSide = 0;
+    return desired.normalize();
   }
 
   function updateRivals(dt) {
     game.rivalTimer -= dt;
     if (game.rivalTimer <= 0 && activeRivals.length < CFG.rivalMax) { spawnRival(); game.rivalTimer = CFG.rivalInterval; }
-    const speedScale = Number(game.settings.speedScale || 1);
     const rivalTop = Math.max(65, game.speed * 0.78 + 35);
+    const adaptive = game.enemyAI === 'adaptive';
     for (let i = activeRivals.length - 1; i >= 0; i--) {
       const r = activeRivals[i];
       r.hitCd = Math.max(0, (r.hitCd || 0) - dt);
-      const toPlayer = new THREE.Vector3(game.pos.x - r.pos.x, 0, game.pos.z - r.pos.z);
-      const dir = toPlayer.clone();
+      r.stun = Math.max(0, (r.stun || 0) - dt);
+      const target = rivalTarget(r);
+      const toTarget = new THREE.Vector3(target.x - r.pos.x, 0, target.z - r.pos.z);
+      if (adaptive) aiAdjustTarget(toTarget);
+      const dir = toTarget.clone();
       if (dir.lengthSq() > 1e-8) dir.normalize();
       else dir.set(Math.cos(i), 0, Math.sin(i));
       const side = new THREE.Vector3(dir.z, 0, -dir.x);
-      let laneOffset = 0;
-      if (r.type === 'blocker') laneOffset = Math.sin(game.runTime * 1.4 + i) * 0.45;
-      if (r.type === 'hunter') laneOffset = Math.sin(game.runTime * 2.6 + i) * 0.25;
-      const desiredDir = dir.clone().addScaledVector(side, laneOffset).normalize();
-      r.vel.addScaledVector(desiredDir, (CFG.rivalAccel * (0.85 + Math.random() * 0.3)) * dt);
-      r.vel.multiplyScalar(Math.max(0, 1 - CFG.rivalDrag * dt));
-      if (r.vel.length() > rivalTop) r.vel.setLength(rivalTop);
-      r.speed = r.vel.length();
-      r.pos.addScaledVector(r.vel, dt);
+      const desiredDir = dir.clone();
+      if (adaptive) desiredDir.addScaledVector(side, game.aiBias.lane);
+      avoidLava(r, desiredDir, dt);
+
+      // Drive it like the player would: steer on heading error, lift and drift through tight turns.
+      const forward = new THREE.Vector3(Math.sin(r.yaw), 0, Math.cos(r.yaw));
+      const right = new THREE.Vector3(forward.z, 0, -forward.x);
+      const err = Math.atan2(forward.x * desiredDir.z - forward.z * desiredDir.x, forward.dot(desiredDir));
+      // EMP'd rivals coast with the wheel centred until the stun wears off.
+      const throttle = r.stun > 0 ? 0 : Math.abs(err) > 1.6 ? 0.35 : 1;
+      r.vel.addScaledVector(forward, CFG.rivalAccel * RIVAL_TYPES[r.type].accel * target.push * throttle * (0.85 + rand() * 0.3) * dt);
+      steerCar(r, forward, right, r.stun > 0 ? 0 : clamp(-err * 2.2, -1, 1), !r.stun && Math.abs(err) > 0.7 && r.speed > 35, dt);
+      const drag = Math.max(0, 1 - CFG.rivalDrag * dt);
+      r.vel.x *= drag; r.vel.z *= drag;
+      r.speed = Math.hypot(r.vel.x, r.vel.z);
+      const top = rivalTop * target.top;
+      if (r.speed > top) { r.vel.x *= top / r.speed; r.vel.z *= top / r.speed; r.speed = top; }
+      r.pos.x += r.vel.x * dt;
+      r.pos.z += r.vel.z * dt;
       clampToArena(game.map, r.pos, r.vel);
-      r.yaw = Math.atan2(r.vel.x, r.vel.z);
-      r.mesh.position.copy(r.pos); r.mesh.position.y = 0.55;
-      r.mesh.rotation.y = r.yaw;
+      groundCar(r, dt);
 
       r.nearCd = Math.max(0, (r.nearCd || 0) - dt);
       const dz = Math.hypot(game.pos.x - r.pos.x, game.pos.z - r.pos.z);
+      if (adaptive) trackChase(r, dz);
       if (dz > 3 && dz < 8 && r.nearCd <= 0) {
         addCombo(0.12);
-        game.score += 18;
+        game.score += 18 * scoreMult();
         r.nearCd = 1;
+        playNearMiss(r);
+        firePerks('nearMiss', r);
       }
-      if (dz < 2.85 && r.hitCd <= 0 && game.invuln <= 0 && game.pos.y < 1.2) {
-        respawnPlayer();
-        r.vel.multiplyScalar(0.6);
+      const nx = (r.pos.x - game.pos.x) / Math.max(1e-6, dz), nz = (r.pos.z - game.pos.z) / Math.max(1e-6, dz);
+      const closing = collideCars(game, r);
+      if (closing > CFG.rivalHitSpeed && r.hitCd <= 0 && game.invuln <= 0 && r.stun <= 0) {
+        game.hits++;
+        game.invuln = CFG.hitInvuln;
         r.hitCd = 0.6;
+        if (adaptive && r.chase) { aiLearn(r.chase, 1); r.chase = null; }
+        // Contact mostly across the player's flank counts as a hard side hit.
+        const pr = new THREE.Vector3(Math.cos(game.yaw), 0, -Math.sin(game.yaw));
+        if (Math.abs(nx * pr.x + nz * pr.z) > 0.6) { bump(); setToast('Side hit!'); }
+        else { addCombo(-0.25); game.shake = Math.max(game.shake, 0.4); setToast('Hit!'); }
+        if (game.runMode.lives && game.hits >= game.runMode.lives) endRun('Caught');
       }
     }
+    for (let i = 0; i < activeRivals.length; i++) {
+      for (let j = i + 1; j < activeRivals.length; j++) collideCars(activeRivals[i], activeRivals[j]);
+    }
+    activeRivals.forEach(r => {
+      r.mesh.position.set(r.pos.x, r.pos.y + 0.55, r.pos.z);
+      r.mesh.rotation.y = r.yaw;
+      r.mesh.rotation.x = lerp(r.mesh.rotation.x || 0, clamp(-r.vel.y * 0.02, -0.35, 0.35), 0.12);
+    });
   }
 
-  function respawnPlayer() {
-    const map = game.map;
-    if (!map) return;
-
-    let best = null;
-    let bestScore = -Infinity;
-    for (let i = 0; i < 18; i++) {
-      const ang = Math.random() * Math.PI * 2;
-      const rr = Math.random() * map.size * 0.85;
-      const p = new THREE.Vector3(Math.cos(ang) * rr, 0, Math.sin(ang) * rr);
-      let minD2 = Infinity;
-      for (let j = 0; j < activeRivals.length; j++) {
-        const d2 = p.distanceToSquared(activeRivals[j].pos);
-        if (d2 < minD2) minD2 = d2;
-      }
-      if (minD2 > bestScore) { bestScore = minD2; best = p; }
+  /* Adaptive AI: learns how the player breaks away from chases */
+  // Counts are [escaped, caught]; turn buckets are relative to the chasing rival's line of approach.
+  function normalizeAiTable(t) {
+    const pair = v => (Array.isArray(v) && v.length === 2 && v.every(n => Number.isFinite(n) && n >= 0) ? v.slice() : [0, 0]);
+    const out = { v: 1, turn: { L: pair(t?.turn?.L), S: pair(t?.turn?.S), R: pair(t?.turn?.R) }, drift: pair(t?.drift), jump: pair(t?.jump), sectors: {} };
+    Object.entries(t?.sectors || {}).forEach(([id, arr]) => {
+      if (Array.isArray(arr) && arr.length === CFG.aiSectors && arr.every(n => Number.isFinite(n) && n >= 0)) out.sectors[id] = arr.slice();
+    });
+    return out;
+  }
+
+  function aiSector(x, z) { return Math.floor((Math.atan2(z, x) + Math.PI) / (Math.PI * 2) * CFG.aiSectors) % CFG.aiSectors; }
+
+  function aiBiasFrom(t, mapId) {
+    const escL = t.turn.L[0], escS = t.turn.S[0], escR = t.turn.R[0];
+    const esc = escL + escS + escR + 4;
+    const sec = t.sectors[mapId] || [];
+    let hot = -1;
+    sec.forEach((n, i) => { if (n >= 3 && (hot < 0 || n > sec[hot])) hot = i; });
+    return {
+      // Lean toward the side the player usually breaks to, cutting that escape off.
+      lane: clamp((escR - escL) / esc, -1, 1) * 0.5,
+      // Drift and jump escapes change direction or clear ground fast, so aim further ahead.
+      lead: 0.2 + 0.6 * (t.drift[0] / esc) + 0.6 * (t.jump[0] / esc),
+      sector: hot,
+    };
+  }
+
+  function aiAdjustTarget(toPlayer) {
+    const b = game.aiBias;
+    const dist = toPlayer.length();
+    toPlayer.x += game.vel.x * b.lead * clamp(dist / 60, 0, 1.5);
+    toPlayer.z += game.vel.z * b.lead * clamp(dist / 60, 0, 1.5);
+    // Far-off rivals drift toward the player's favourite escape sector instead of trailing straight behind.
+    if (b.sector >= 0 && dist > 120) {
+      const ang = (b.sector + 0.5) / CFG.aiSectors * Math.PI * 2 - Math.PI;
+      const rr = game.map.size * 0.55;
+      toPlayer.lerp(new THREE.Vector3(Math.cos(ang) * rr - game.pos.x + toPlayer.x, 0, Math.sin(ang) * rr - game.pos.z + toPlayer.z), 0.3);
     }
+  }
 
-    if (best) game.pos.copy(best);
-    game.pos.y = 0;
-    game.vel.set(0, 0, 0);
-    game.yaw = Math.random() * Math.PI * 2;
-    game.yawVel = 0;
-    game.invuln = 1.25;
-    game.shake = Math.max(game.shake, 0.8);
-    addCombo(-1.0);
-    setToast('Respawn');
-    playTone(240, 0.07, 0.12);
+  function trackChase(r, dist) {
+    if (!r.chase) {
+      if (dist < CFG.aiChaseRange) r.chase = { turn: 0, n: 0, drift: false, jump: false };
+      return;
+    }
+    const c = r.chase;
+    const inv = 1 / Math.max(1e-6, dist);
+    const dx = (game.pos.x - r.pos.x) * inv, dz = (game.pos.z - r.pos.z) * inv;
+    c.turn += Math.sin(game.yaw) * dz - Math.cos(game.yaw) * dx;
+    c.n++;
+    c.drift = c.drift || game.drifting;
+    c.jump = c.jump || !game.grounded;
+    if (dist > CFG.aiEscapeRange) { aiLearn(c, 0); r.chase = null; }
+  }
+
+  function aiLearn(c, outcome) {
+    const t = game.aiTable;
+    const turn = c.n ? c.turn / c.n : 0;
+    t.turn[turn > 0.3 ? 'R' : turn < -0.3 ? 'L' : 'S'][outcome]++;
+    if (c.drift) t.drift[outcome]++;
+    if (c.jump) t.jump[outcome]++;
+    if (outcome === 0) {
+      const sec = t.sectors[game.map.id] || (t.sectors[game.map.id] = new Array(CFG.aiSectors).fill(0));
+      sec[aiSector(game.pos.x, game.pos.z)]++;
+    }
+    // Halve everything once the table is "full" so recent habits outweigh old ones.
+    const total = ['L', 'S', 'R'].reduce((n, k) => n + t.turn[k][0] + t.turn[k][1], 0);
+    if (total > CFG.aiMemory) {
+      const half = arr => arr.forEach((n, i) => { arr[i] = Math.floor(n / 2); });
+      ['L', 'S', 'R'].forEach(k => half(t.turn[k]));
+      half(t.drift); half(t.jump);
+      Object.values(t.sectors).forEach(half);
+    }
+    game.aiBias = aiBiasFrom(t, game.map.id);
+    if (game.mode === 'player') saveAiTable();
   }
 
   function bump() {
@@ -1546,17 +2545,122 @@ BASELINE AUDIT (before fixes):
 
   function addCombo(v) { game.combo = clamp(game.combo + v, 1, 9); game.comboTimer = 3; }
 
+  /* Modes */
+  function updateMode(dt) {
+    const m = game.runMode;
+    if (m.timeLimit && game.runTime >= m.timeLimit) endRun('Time up');
+    if (m.beacons) updateBeacons(dt);
+  }
+
+  function sprintCourse(map, count) {
+    // Zig-zag around the arena starting just past the spawn, nudged off lava and ramps.
+    const spawn = spawnPoint(map);
+    const start = Math.atan2(spawn.z, spawn.x);
+    const pts = [];
+    for (let i = 0; i < count; i++) {
+      const ang = start + (i + 1) * (Math.PI * 2 / count);
+      let r = map.size * (i % 2 ? 0.42 : 0.68);
+      let x = 0, z = 0;
+      for (let tries = 0; tries < 12; tries++) {
+        x = Math.cos(ang) * r;
+        z = Math.sin(ang) * r;
+        const clear = (map.hazards || []).every(h => Math.hypot(x - h.x, z - h.z) > h.r + 12);
+        if (clear && sampleGround(map, x, z).y === 0) break;
+        r = clamp(r + (i % 2 ? -24 : 24), map.size * 0.15, map.size * 0.85);
+      }
+      pts.push({ x, z });
+    }
+    return pts;
+  }
+
+  /* Laps */
+  function updateLaps(px, pz) {
+    const g = world.gates[game.nextGate];
+    if (!g) return;
+    // Count a gate only when the car crosses its line forwards and between the posts.
+    const fx = Math.sin(g.yaw), fz = Math.cos(g.yaw);
+    const s0 = (px - g.x) * fx + (pz - g.z) * fz;
+    const s1 = (game.pos.x - g.x) * fx + (game.pos.z - g.z) * fz;
+    if (!(s0 < 0 && s1 >= 0)) return;
+    const t = s0 / (s0 - s1);
+    const cx = px + (game.pos.x - px) * t - g.x;
+    const cz = pz + (game.pos.z - pz) * t - g.z;
+    if (Math.abs(cx * fz - cz * fx) > g.w * 0.5) return;
+    passGate();
+  }
+
+  function passGate() {
+    const n = world.gates.length;
+    const lapTime = game.runTime - game.lapStart;
+    playTone(620, 0.05, 0.1);
+    if (game.nextGate === 0) {
+      if (game.lap > 0) {
+        const pb = !game.bestLap || lapTime < game.bestLap;
+        game.lastLap = lapTime;
+        if (pb) { game.bestLap = lapTime; game.bestSplits = game.splits.slice(); }
+        game.score += 600 * game.combo;
+        addCombo(0.5);
+        if (game.runMode.rank === 'time') { game.sprintDone = true; endRun('Sprint complete'); return; }
+        setToast(`Lap ${game.lap} - ${lapTime.toFixed(2)}s${pb ? ' (best)' : ''}`);
+      } else setToast(game.runMode.rank === 'time' ? 'Sprint - Go!' : 'Lap 1 - Go!');
+      game.lap++;
+      game.lapStart = game.runTime;
+      game.splits = [];
+      game.lastSplit = null;
+    } else {
+      game.splits.push(lapTime);
+      const ref = game.bestSplits?.[game.nextGate - 1];
+      game.lastSplit = { gate: game.nextGate, time: lapTime, delta: ref ? lapTime - ref : null };
+      setToast(`Split ${game.nextGate}/${n - 1} - ${splitText(game.lastSplit)}`);
+      game.score += 120 * game.combo;
+      addCombo(0.15);
+    }
+    game.nextGate = (game.nextGate + 1) % n;
+  }
+
+  function buildBeacons(points) {
+    world.beacons = points.map((p, i) => {
+      const mat = new THREE.MeshBasicMaterial({ color: 0xffb347, transparent: true, opacity: 0.0, blending: THREE.AdditiveBlending, depthWrite: false, side: THREE.DoubleSide });
+      const mesh = new THREE.Mesh(new THREE.CylinderGeometry(7, 7, 60, 24, 1, true), mat);
+      mesh.position.set(p.x, 30, p.z);
+      world.arenaGroup.add(mesh);
+      return { ...p, mesh, index: i };
+    });
+  }
+
+  function updateBeacons(dt) {
+    const list = world.beacons;
+    for (let i = 0; i < list.length; i++) {
+      const b = list[i];
+      const target = i === game.beaconIndex ? 0.55 + 0.15 * Math.sin(game.runTime * 5) : i === game.beaconIndex + 1 ? 0.12 : 0;
+      b.mesh.material.opacity = lerp(b.mesh.material.opacity, target, dt * 8);
+    }
+    const b = list[game.beaconIndex];
+    if (!b) return;
+    if (Math.hypot(game.pos.x - b.x, game.pos.z - b.z) > 9) return;
+    game.beaconIndex++;
+    game.score += 250 * game.combo;
+    addCombo(0.3);
+    playTone(660, 0.06, 0.12);
+    if (game.beaconIndex >= list.length) {
+      game.sprintDone = true;
+      endRun('Sprint complete');
+    } else setToast(`Beacon ${game.beaconIndex}/${list.length} - ${game.runTime.toFixed(1)}s`);
+  }
+
   /* HUD & render */
   function render() {
     if (renderer && scene && camera) renderer.render(scene, camera);
     if (game.debug) {
       debugBox.style.display = 'block';
       debugBox.textContent = [
-        `fps ${game.fps.toFixed(0)} dt ${game.lastDt.toFixed(3)}`,
+        `fps ${game.fps.toFixed(0)} dt ${game.lastDt.toFixed(3)} gov L${world.governor.level} scale ${GOVERNOR_STEPS[world.governor.level].scale} dpr ${renderer.getPixelRatio().toFixed(2)}`,
         `spd ${game.speed.toFixed(1)} steer ${game.steerInput.toFixed(2)} drifting ${game.drifting ? 'Y' : 'N'} shake ${game.shake.toFixed(2)}`,
-        `drift ${game.drift.toFixed(1)} boost ${game.boost.toFixed(1)} combo x${game.combo.toFixed(1)} invuln ${game.invuln.toFixed(2)}`,
+        `drift ${game.drift.toFixed(1)} boost ${game.boost.toFixed(1)} combo x${game.combo.toFixed(1)} invuln ${game.invuln.toFixed(2)} heat ${game.heat.toFixed(0)}${game.inLava ? ' LAVA' : ''}`,
         `score ${game.score.toFixed(0)} pos ${game.pos.x.toFixed(1)},${game.pos.z.toFixed(1)}`,
-        `map ${MAPS[game.mapIndex].id} rivals ${activeRivals.length} pickups ${activePickups.length}`,
+        game.enemyAI === 'adaptive' ? `ai lane ${game.aiBias.lane.toFixed(2)} lead ${game.aiBias.lead.toFixed(2)} sector ${game.aiBias.sector} esc L${game.aiTable.turn.L[0]} S${game.aiTable.turn.S[0]} R${game.aiTable.turn.R[0]}` : 'ai standard',
+        pad.connected ? `pad ${pad.id.slice(0, 24)} steer ${pad.steer.toFixed(2)} thr ${pad.throttle.toFixed(2)} brk ${pad.brake.toFixed(2)} ${pad.drift ? 'D' : '-'}${pad.boost ? 'B' : '-'}` : 'pad none',
+        `map ${MAPS[game.mapIndex].id} seed ${game.seed}${game.playback ? ` replay ${game.playback.tick}` : ''} rivals ${activeRivals.length} pickups ${activePickups.length}`,
       ].join('\\n');
     } else debugBox.style.display = 'none';
   }
@@ -1565,9 +2669,35 @@ BASELINE AUDIT (before fixes):
     ui.hudSpeed.textContent = game.speed.toFixed(0);
     ui.hudScore.textContent = game.score.toFixed(0);
     ui.hudCombo.textContent = `x${game.combo.toFixed(1)}`;
-    ui.hudLap.textContent = `${MAPS[game.mapIndex].name} - ${game.runTime.toFixed(1)}s`;
+    ui.hudLap.textContent = modeHudText();
+    ui.heatBar.style.width = `${game.heat}%`;
+    ui.heatBar.classList.toggle('hot', game.heat > 70);
     ui.driftBar.style.width = `${game.drift}%`;
     ui.boostBar.style.width = `${game.boost / 1.4}%`;
+    Object.entries(ui.hudEffects).forEach(([k, el]) => {
+      const left = game.effects[k];
+      el.classList.toggle('hidden', !(left > 0));
+      if (left > 0) el.lastElementChild.textContent = `${left.toFixed(1)}s`;
+    });
+  }
+
+  function modeHudText() {
+    const m = game.runMode;
+    if (m.timeLimit) return `${m.name} - ${Math.max(0, m.timeLimit - game.runTime).toFixed(1)}s left`;
+    if (m.lives) return `Hits ${game.hits}/${m.lives} - ${game.runTime.toFixed(1)}s`;
+    const n = world.gates.length;
+    if (m.beacons && n) return `${game.lap ? `Gate ${game.nextGate || n}/${n}` : 'Start gate'} - ${game.runTime.toFixed(1)}s${game.lastSplit ? ` - S${game.lastSplit.gate} ${splitText(game.lastSplit)}` : ''}`;
+    if (m.beacons) return `Beacon ${Math.min(game.beaconIndex + 1, world.beacons.length)}/${world.beacons.length} - ${game.runTime.toFixed(1)}s`;
+    if (!n) return `${MAPS[game.mapIndex].name} - ${game.runTime.toFixed(1)}s`;
+    if (!game.lap) return `${MAPS[game.mapIndex].name} - to the start gate`;
+    const best = game.bestLap ? ` / best ${game.bestLap.toFixed(2)}s` : '';
+    // Last split this lap with its delta to the best lap; before the first split, the previous lap.
+    const split = game.lastSplit ? ` - S${game.lastSplit.gate} ${splitText(game.lastSplit)}` : game.lastLap ? ` - last ${game.lastLap.toFixed(2)}s` : '';
+    return `Lap ${game.lap} - ${(game.runTime - game.lapStart).toFixed(1)}s${best}${split}`;
+  }
+
+  function splitText(s) {
+    return `${s.time.toFixed(2)}s${s.delta == null ? '' : ` (${s.delta >= 0 ? '+' : ''}${s.delta.toFixed(2)})`}`;
   }
 
   function setToast(msg) {
@@ -1578,60 +2708,938 @@ BASELINE AUDIT (before fixes):
     setToast.tid = setTimeout(() => ui.toast.classList.remove('show'), 1400);
   }
 
+  /* Ghosts */
+  function startGhost(record) {
+    game.ghostRec = record ? { hz: CFG.ghostHz, next: 0, samples: [] } : null;
+    game.ghost = record ? decodeGhost(game.ghosts[scoreKey()]) : null;
+    ghostMesh.visible = false;
+  }
+
+  function recordGhost(boosting) {
+    const rec = game.ghostRec;
+    if (!rec || game.runTime < rec.next) return;
+    rec.samples.push([game.pos.x, game.pos.y, game.pos.z, game.yaw, (game.drifting ? 1 : 0) | (boosting ? 2 : 0)]);
+    rec.next += 1 / rec.hz;
+    // Long runs (Endless Yard) halve the sample rate instead of growing without bound.
+    if (rec.samples.length >= CFG.ghostMaxSamples) {
+      rec.samples = rec.samples.filter((_, i) => i % 2 === 0);
+      rec.hz /= 2;
+      rec.next = rec.samples.length / rec.hz;
+    }
+  }
+
+  function updateGhost() {
+    const gh = game.ghost;
+    if (!gh) return;
+    const f = game.runTime * gh.hz;
+    const i = Math.floor(f);
+    if (i >= gh.samples.length - 1) { ghostMesh.visible = false; return; }
+    const a = gh.samples[i], b = gh.samples[i + 1], t = f - i;
+    ghostMesh.visible = true;
+    ghostMesh.position.set(lerp(a[0], b[0], t), lerp(a[1], b[1], t) + 0.6, lerp(a[2], b[2], t));
+    ghostMesh.rotation.y = lerp(a[3], b[3], t);
+    ghostMesh.userData.glow.material.opacity = a[4] & 2 ? 0.5 : a[4] & 1 ? 0.35 : 0.12;
+  }
+
+  // "hz|dx,dy,dz,dyaw,flags;..." with base36 deltas (positions in 0.1 units, yaw in 0.01 rad).
+  function encodeGhost(rec) {
+    const prev = [0, 0, 0, 0, 0];
+    const rows = rec.samples.map(smp => {
+      const q = [Math.round(smp[0] * 10), Math.round(smp[1] * 10), Math.round(smp[2] * 10), Math.round(smp[3] * 100), smp[4]];
+      const row = q.map((v, i) => (v - prev[i]).toString(36)).join(',');
+      q.forEach((v, i) => { prev[i] = v; });
+      return row;
+    });
+    return `${rec.hz}|${rows.join(';')}`;
+  }
+
+  function decodeGhost(str) {
+    if (typeof str !== 'string') return null;
+    const [hzStr, body] = str.split('|');
+    const hz = Number(hzStr);
+    if (!(hz > 0) || !body) return null;
+    const acc = [0, 0, 0, 0, 0];
+    const samples = [];
+    for (const row of body.split(';')) {
+      const d = row.split(',').map(v => parseInt(v, 36));
+      if (d.length !== 5 || d.some(v => !Number.isFinite(v))) return null;
+      d.forEach((v, i) => { acc[i] += v; });
+      samples.push([acc[0] / 10, acc[1] / 10, acc[2] / 10, acc[3] / 100, acc[4]]);
+    }
+    return { hz, samples };
+  }
+
+  /* Map files (sharing arenas) */
+  // { format, version, map } where map has the MAPS entry shape. Item fields and ranges come from EDITOR_KINDS;
+  // `yaw` is optional everywhere (radians, default 0). Unknown keys are dropped on import.
+  const MAP_FORMAT = 'infernodrift2-map';
+  const MAP_VERSION = 1;
+
+  function exportMap(def) {
+    if (reportMapProblems('Cannot export arena', validateMapDef(def))) return;
+    downloadJson({ format: MAP_FORMAT, version: MAP_VERSION, map: normalizeMap(def) }, `infernodrift2-map-${def.id}.json`);
+    setToast(`Exported ${def.name}`);
+  }
+
+  function importMap(text) {
+    let data;
+    try { data = JSON.parse(text); } catch { return showError('Map import error', 'File is not valid JSON.'); }
+    const problems = validateMapFile(data);
+    if (!problems.length && MAPS.some(m => m.id === data.map.id && !m.custom)) problems.push(`Map id "${data.map.id}" belongs to a built-in arena; change the id and try again.`);
+    if (reportMapProblems('Map import error', problems)) return;
+    // Re-importing the same id replaces the older copy.
+    const def = { ...normalizeMap(data.map), custom: true, imported: true };
+    const idx = upsertCustomMap(def);
+    saveCustomMaps();
+    buildMapList();
+    selectMap(idx);
+    setToast(`Imported ${def.name}`);
+  }
+
+  function reportMapProblems(title, problems) {
+    if (!problems.length) return false;
+    const shown = problems.slice(0, 8);
+    if (problems.length > shown.length) shown.push(`...and ${problems.length - shown.length} more.`);
+    showError(title, shown.join('\n'));
+    return true;
+  }
+
+  function validateMapFile(d) {
+    if (!d || d.format !== MAP_FORMAT) return ['Not an InfernoDrift2 map file.'];
+    if (!(d.version >= 1 && d.version <= MAP_VERSION)) return [`Unsupported map version ${d.version} (expected 1-${MAP_VERSION}).`];
+    return validateMapDef(d.map);
+  }
+
+  // Every problem found, as readable sentences (empty when the map is usable).
+  function validateMapDef(m) {
+    if (!m || typeof m !== 'object') return ['Map data is missing.'];
+    const out = [];
+    const num = v => typeof v === 'number' && Number.isFinite(v);
+    if (typeof m.id !== 'string' || !/^[a-z0-9-]{1,40}$/i.test(m.id)) out.push('Map id must be 1-40 letters, digits or dashes.');
+    if (typeof m.name !== 'string' || !m.name.trim() || m.name.length > 32) out.push('Map name must be 1-32 characters.');
+    if (m.desc != null && (typeof m.desc !== 'string' || m.desc.length > 120)) out.push('Description must be text of at most 120 characters.');
+    if (m.difficulty != null && !DIFFICULTIES.includes(m.difficulty)) out.push(`Difficulty must be one of ${DIFFICULTIES.join(', ')}.`);
+    if (!num(m.size) || m.size < MAP_SIZE_RANGE[0] || m.size > MAP_SIZE_RANGE[1]) return [...out, `Size must be a number from ${MAP_SIZE_RANGE[0]} to ${MAP_SIZE_RANGE[1]}.`];
+    Object.entries(EDITOR_KINDS).forEach(([kind, spec]) => {
+      const list = m[kind];
+      if (list == null) return;
+      if (!Array.isArray(list)) { out.push(`${kind} must be a list.`); return; }
+      if (list.length > MAP_ITEM_MAX) out.push(`Too many ${kind} (${list.length}, max ${MAP_ITEM_MAX}).`);
+      list.forEach((it, i) => {
+        const name = `${spec.label} ${i + 1}`;
+        if (!it || typeof it !== 'object') { out.push(`${name} is not an object.`); return; }
+        const ranges = { x: [-m.size, m.size], z: [-m.size, m.size], ...spec.fields };
+        const bad = Object.entries(ranges).filter(([k, [min, max]]) => (k === 'yaw' ? it.yaw != null : true) && !(num(it[k]) && it[k] >= min && it[k] <= max));
+        bad.forEach(([k, [min, max]]) => out.push(`${name}: ${k} must be a number from ${Math.round(min * 100) / 100} to ${Math.round(max * 100) / 100}.`));
+        if (bad.length) return;
+        if (kind === 'rings' && it.inner >= it.outer) out.push(`${name}: inner radius must be smaller than outer.`);
+        if (Math.hypot(it.x, it.z) + itemReach(kind, it) > m.size) out.push(`${name} sticks out past the arena edge.`);
+      });
+    });
+    if (out.length) return out;
+    // Geometry that can't share space: crossing ramps or platforms, boosts inside lava, gates in lava.
+    // A ramp may run into a platform (that's how platforms are reached).
+    [['Ramp', m.ramps || []], ['Platform', m.platforms || []]].forEach(([name, list]) => list.forEach((a, i) => list.slice(i + 1).forEach((b, j) => {
+      if (rectsOverlap(a, b)) out.push(`${name} ${i + 1} overlaps ${name} ${i + j + 2}.`);
+    })));
+    // Boost pads may graze lava (Ridge Flats does) but not sit half inside it.
+    (m.boosts || []).forEach((b, i) => (m.hazards || []).forEach((h, j) => {
+      if (Math.hypot(b.x - h.x, b.z - h.z) < b.r * 0.5 + h.r) out.push(`Boost ${i + 1} overlaps lava ${j + 1}.`);
+    }));
+    (m.checkpoints || []).forEach((c, i) => (m.hazards || []).forEach((h, j) => {
+      if (Math.hypot(c.x - h.x, c.z - h.z) < h.r) out.push(`Gate ${i + 1} sits in lava ${j + 1}.`);
+    }));
+    if (m.spawn != null) {
+      const sp = m.spawn;
+      if (!num(sp.x) || !num(sp.z) || Math.hypot(sp.x, sp.z) > m.size) out.push('Spawn must be an {x, z} point inside the arena.');
+      else if ((m.hazards || []).some(h => Math.hypot(sp.x - h.x, sp.z - h.z) < h.r)) out.push('Spawn sits in lava.');
+    }
+    return out;
+  }
+
+  // Furthest an item reaches from its centre on the ground plane.
+  function itemReach(kind, it) {
+    if (kind === 'checkpoints') return it.w / 2;
+    if ('w' in it && 'l' in it) return Math.hypot(it.w, it.l) / 2;
+    return it.r ?? it.outer ?? 0;
+  }
+
+  // Separating-axis test on two yawed rectangles; edges that merely touch don't count.
+  function rectsOverlap(a, b) {
+    const ca = itemCorners(a), cb = itemCorners(b);
+    const axes = [a.yaw || 0, b.yaw || 0].flatMap(y => [[Math.cos(y), -Math.sin(y)], [Math.sin(y), Math.cos(y)]]);
+    return axes.every(([ax, az]) => {
+      const pa = ca.map(([x, z]) => x * ax + z * az), pb = cb.map(([x, z]) => x * ax + z * az);
+      return Math.min(Math.max(...pa), Math.max(...pb)) - Math.max(Math.min(...pa), Math.min(...pb)) > 1;
+    });
+  }
+
+  // Copy of a map with only the schema's keys (drops runtime flags like `custom`).
+  function normalizeMap(m) {
+    const out = { id: m.id, name: m.name.trim(), desc: m.desc || 'Custom arena.', difficulty: m.difficulty || 'Medium', size: m.size };
+    Object.entries(EDITOR_KINDS).forEach(([kind, spec]) => {
+      if (!m[kind]) return;
+      out[kind] = m[kind].map(it => Object.fromEntries(['x', 'z', ...Object.keys(spec.fields)].filter(k => it[k] != null).map(k => [k, it[k]])));
+    });
+    if (m.spawn) out.spawn = { x: m.spawn.x, z: m.spawn.z, yaw: m.spawn.yaw || 0 };
+    return out;
+  }
+
+  /* Arena generator */
+  // Builds a MAPS-shaped arena from a seed with its own PRNG (never the gameplay rand()), so a seed
+  // always yields the same layout. Items are placed by rejection sampling against reserved circles.
+  function generateArena(seed, difficulty = 'Medium') {
+    if (!GEN_PRESETS[difficulty]) difficulty = 'Medium';
+    seed = seed >>> 0;
+    const cfg = GEN_PRESETS[difficulty], size = cfg.size;
+    const r = makeRng(seed);
+    const range = (a, b) => a + r() * (b - a);
+    const def = {
+      id: `random-${seed}-${difficulty.toLowerCase()}`,
+      name: 'Random arena',
+      desc: `Generated from seed ${seed}.`,
+      difficulty,
+      size,
+      generated: { seed, difficulty },
+      hazards: [], boosts: [], ramps: [], platforms: [], rings: [], checkpoints: [],
+    };
+    const taken = [];
+    const free = (x, z, rad, margin = 20) => Math.hypot(x, z) + rad <= size - 10 && taken.every(t => Math.hypot(x - t.x, z - t.z) > rad + t.r + margin);
+    const reserve = (x, z, rad) => taken.push({ x, z, r: rad });
+
+    // Lap gates on a jittered loop, facing along it (same layout idea as the built-ins).
+    const loop = size * 0.72, phase = range(-0.3, 0.3);
+    for (let i = 0; i < 5; i++) {
+      const a = Math.PI / 2 + phase + i * Math.PI * 2 / 5 + range(-0.12, 0.12);
+      const x = Math.round(Math.cos(a) * loop), z = Math.round(Math.sin(a) * loop);
+      def.checkpoints.push({ x, z, yaw: Math.round(Math.atan2(-Math.sin(a), Math.cos(a)) * 100) / 100, w: 50 });
+      reserve(x, z, 45);
+    }
+    const spawn = spawnPoint(def);
+    reserve(spawn.x, spawn.z, 40);
+
+    // Ramps lead outward onto platforms: the ramp's high end meets the deck (or leaves a short jump on Hard).
+    for (let i = 0, tries = 0; i < cfg.pads && tries < 60; tries++) {
+      const a = r() * Math.PI * 2, ux = Math.cos(a), uz = Math.sin(a), yaw = Math.atan2(ux, uz);
+      const plat = { w: Math.round(range(90, 140)), l: Math.round(range(70, 100)), y: Math.round(range(8, 12)), yaw };
+      const ramp = { w: Math.round(range(20, 26)), l: Math.round(range(50, 72)), h: plat.y, yaw };
+      const dist = size - 20 - Math.hypot(plat.w, plat.l) / 2;
+      const back = plat.l / 2 + ramp.l / 2 + cfg.gap - 4;
+      Object.assign(plat, { x: Math.round(ux * dist), z: Math.round(uz * dist) });
+      Object.assign(ramp, { x: Math.round(ux * (dist - back)), z: Math.round(uz * (dist - back)) });
+      const pr = Math.hypot(plat.w, plat.l) / 2, rr = Math.hypot(ramp.w, ramp.l) / 2;
+      if (!free(plat.x, plat.z, pr) || !free(ramp.x, ramp.z, rr)) continue;
+      def.platforms.push(plat); def.ramps.push(ramp);
+      reserve(plat.x, plat.z, pr); reserve(ramp.x, ramp.z, rr);
+      i++;
+    }
+
+    // Lava pools, rejected if they would wall off the spawn from any gate.
+    for (let i = 0, tries = 0; i < cfg.lava && tries < 80; tries++) {
+      const rad = Math.round(range(...cfg.lavaR)), d = range(0, size - rad - 30), a = r() * Math.PI * 2;
+      const lava = { x: Math.round(Math.cos(a) * d), z: Math.round(Math.sin(a) * d), r: rad };
+      if (!free(lava.x, lava.z, rad, 30)) continue;
+      def.hazards.push(lava);
+      const reach = reachableGrid(def, spawn);
+      if (!def.checkpoints.every(c => reach(c.x, c.z))) { def.hazards.pop(); continue; }
+      reserve(lava.x, lava.z, rad);
+      i++;
+    }
+
+    // Free jump ramps, aimed so the landing zone past the lip is open ground.
+    for (let i = 0, tries = 0; i < cfg.jumps && tries < 60; tries++) {
+      const ramp = { w: Math.round(range(16, 24)), l: Math.round(range(38, 60)), h: Math.round(range(6, 11)), yaw: Math.round(range(-Math.PI, Math.PI) * 100) / 100 };
+      const d = range(size * 0.15, size * 0.7), a = r() * Math.PI * 2;
+      Object.assign(ramp, { x: Math.round(Math.cos(a) * d), z: Math.round(Math.sin(a) * d) });
+      const rr = Math.hypot(ramp.w, ramp.l) / 2;
+      const lx = ramp.x + Math.sin(ramp.yaw) * (ramp.l / 2 + 45), lz = ramp.z + Math.cos(ramp.yaw) * (ramp.l / 2 + 45);
+      if (!free(ramp.x, ramp.z, rr) || !free(lx, lz, 25, 10)) continue;
+      def.ramps.push(ramp);
+      reserve(ramp.x, ramp.z, rr); reserve(lx, lz, 25);
+      i++;
+    }
+
+    // Boost pads on open ground the car can actually drive to.
+    const reach = reachableGrid(def, spawn);
+    for (let i = 0, tries = 0; i < cfg.boosts && tries < 80; tries++) {
+      const rad = Math.round(range(40, 65)), d = range(size * 0.2, size - rad - 20), a = r() * Math.PI * 2;
+      const b = { x: Math.round(Math.cos(a) * d), z: Math.round(Math.sin(a) * d), r: rad };
+      if (!free(b.x, b.z, rad) || !reach(b.x, b.z)) continue;
+      def.boosts.push(b);
+      reserve(b.x, b.z, rad);
+      i++;
+    }
+
+    // A ring deck bridging the biggest pool.
+    const big = [...def.hazards].sort((a, b) => b.r - a.r)[0];
+    if (cfg.ring && big && Math.hypot(big.x, big.z) + big.r + 14 <= size - 10) def.rings.push({ x: big.x, z: big.z, inner: Math.max(20, big.r - 20), outer: big.r + 12, y: 7 });
+
+    // Kept with the seed so the menu can flag a bad layout instead of silently serving it.
+    const problems = validateMapDef(def);
+    if (problems.length) def.generated.problems = problems;
+    return def;
+  }
+
+  // Flood fill over a coarse grid of lava-free ground from the spawn; returns a lookup for world points.
+  function reachableGrid(def, from) {
+    const cell = 20, n = Math.ceil(def.size * 2 / cell);
+    const idx = (x, z) => Math.floor((x + def.size) / cell) * n + Math.floor((z + def.size) / cell);
+    const open = (i) => {
+      const x = Math.floor(i / n) * cell - def.size + cell / 2, z = (i % n) * cell - def.size + cell / 2;
+      return Math.hypot(x, z) < def.size && def.hazards.every(h => Math.hypot(x - h.x, z - h.z) > h.r + CFG.carRadius * 2);
+    };
+    const seen = new Uint8Array(n * n), stack = [idx(from.x, from.z)];
+    seen[stack[0]] = 1;
+    while (stack.length) {
+      const i = stack.pop(), cx = Math.floor(i / n), cz = i % n;
+      [[1, 0], [-1, 0], [0, 1], [0, -1]].forEach(([dx, dz]) => {
+        const nx = cx + dx, nz = cz + dz, j = nx * n + nz;
+        if (nx < 0 || nz < 0 || nx >= n || nz >= n || seen[j] || !open(j)) return;
+        seen[j] = 1;
+        stack.push(j);
+      });
+    }
+    return (x, z) => !!seen[idx(x, z)];
+  }
+
+  // Text seeds hash to a number so "lava-party" can be shared as easily as 12345.
+  function parseSeed(text) {
+    const t = String(text).trim();
+    if (/^\d+$/.test(t)) return Number(t) >>> 0;
+    let h = 2166136261;
+    for (let i = 0; i < t.length; i++) h = Math.imul(h ^ t.charCodeAt(i), 16777619);
+    return h >>> 0;
+  }
+
+  // Replays pass persist=false: their arena is only borrowed and the player's own seed stays saved.
+  function setRandomArena(seed, difficulty, persist = true) {
+    const idx = MAPS.findIndex(m => m.generated);
+    MAPS[idx] = generateArena(seed, difficulty);
+    if (persist) {
+      game.settings.arenaSeed = MAPS[idx].generated.seed;
+      game.settings.arenaDifficulty = MAPS[idx].generated.difficulty;
+      saveSettings();
+    }
+    buildMapList();
+    selectMap(idx);
+    if (MAPS[idx].generated.problems) setToast(`Seed ${MAPS[idx].generated.seed} made a flawed layout; try another`);
+  }
+
+  // Generator inputs behind a Random arena id, or null for any other id.
+  function parseRandomId(id) {
+    const m = /^random-(\d+)-(easy|medium|hard)$/.exec(id || '');
+    if (!m || String(Number(m[1]) >>> 0) !== m[1]) return null;
+    return { seed: Number(m[1]), difficulty: m[2][0].toUpperCase() + m[2].slice(1) };
+  }
+
+  /* Replays (input streams for bug reports) */
+  const REPLAY_FORMAT = 'infernodrift2-replay';
+  const REPLAY_VERSION = 2;
+
+  // Inputs are run-length encoded as [ticks, steer, flags, throttle, brakeLevel] with flags
+  // accel=1, brake=2, drift=4, boost=8. Version 1 files (keyboard only) omit the analog pair.
+  function recordInput(input) {
+    const list = game.inputRec.inputs;
+    const flags = (input.accel ? 1 : 0) | (input.brake ? 2 : 0) | (input.drift ? 4 : 0) | (input.boost ? 8 : 0);
+    const steer = input.steer || 0;
+    const throttle = input.throttle ?? (input.accel ? 1 : 0);
+    const brakeLevel = input.brakeLevel ?? (input.brake ? 1 : 0);
+    const last = list[list.length - 1];
+    if (last && last[1] === steer && last[2] === flags && last[3] === throttle && last[4] === brakeLevel) last[0]++;
+    else list.push([1, steer, flags, throttle, brakeLevel]);
+  }
+
+  function replayInput() {
+    const pb = game.playback;
+    const cur = pb.data.inputs[pb.run];
+    if (!cur) { endRun('Replay finished'); return { steer: 0, left: false, right: false, accel: false, brake: false, drift: false, boost: false }; }
+    pb.tick++;
+    if (--pb.left <= 0) { pb.run++; pb.left = pb.data.inputs[pb.run]?.[0] || 0; }
+    return {
+      steer: cur[1], left: cur[1] < 0, right: cur[1] > 0,
+      accel: !!(cur[2] & 1), brake: !!(cur[2] & 2), drift: !!(cur[2] & 4), boost: !!(cur[2] & 8),
+      throttle: cur[3] ?? (cur[2] & 1 ? 1 : 0), brakeLevel: cur[4] ?? (cur[2] & 2 ? 1 : 0),
+    };
+  }
+
+  function exportReplay() {
+    const rec = game.playback ? game.playback.data : game.inputRec;
+    if (!rec || !rec.inputs.length) { setToast('Nothing recorded yet'); return; }
+    const data = { format: REPLAY_FORMAT, version: REPLAY_VERSION, step: CFG.step, ...rec, ticks: rec.inputs.reduce((n, r) => n + r[0], 0) };
+    downloadJson(data, `infernodrift2-${rec.map}-${rec.seed}.json`);
+    setToast('Replay saved');
+  }
+
+  function downloadJson(data, filename) {
+    const blob = new Blob([JSON.stringify(data)], { type: 'application/json' });
+    const a = document.createElement('a');
+    a.href = URL.createObjectURL(blob);
+    a.download = filename;
+    document.body.appendChild(a);
+    a.click();
+    a.remove();
+    setTimeout(() => URL.revokeObjectURL(a.href), 1000);
+  }
+
+  function importReplay(text) {
+    let data;
+    try { data = JSON.parse(text); } catch { return showError('Replay error', 'File is not valid JSON.'); }
+    const problem = validateReplay(data);
+    if (problem) return showError('Replay error', problem);
+    // Random arenas aren't stored; rebuild the one the replay was recorded on.
+    const gen = parseRandomId(data.map);
+    if (gen) setRandomArena(gen.seed, gen.difficulty, false);
+    game.playback = { data, run: 0, left: 0, tick: 0 };
+    startRun('replay');
+  }
+
+  function validateReplay(d) {
+    if (!d || d.format !== REPLAY_FORMAT) return 'Not an InfernoDrift2 replay file.';
+    if (!(d.version >= 1 && d.version <= REPLAY_VERSION)) return `Unsupported replay version ${d.version} (expected 1-${REPLAY_VERSION}).`;
+    if (d.step !== CFG.step) return 'Replay was recorded with a different simulation step.';
+    if (!MAPS.some(m => m.id === d.map) && !parseRandomId(d.map)) return `Unknown map "${d.map}".`;
+    if (!MODES.some(m => m.id === d.runMode)) return `Unknown mode "${d.runMode}".`;
+    if (!Number.isInteger(d.seed) || d.seed < 0) return 'Replay seed is missing or invalid.';
+    if (!(Number(d.speedScale) > 0)) return 'Replay speed scale is missing or invalid.';
+    if (d.perk != null && !perkById(d.perk)) return `Unknown perk "${d.perk}".`;
+    if (d.perks != null && !(Array.isArray(d.perks) && d.perks.every(perkById))) return 'Replay perk list is malformed or names unknown perks.';
+    if (d.enemyAI != null && !['standard', 'adaptive'].includes(d.enemyAI)) return `Unknown enemy AI "${d.enemyAI}".`;
+    const unit = v => v === undefined || (Number.isFinite(v) && v >= 0 && v <= 1);
+    const okRow = r => Array.isArray(r) && Number.isInteger(r[0]) && r[0] > 0 && Number.isFinite(r[1]) && Math.abs(r[1]) <= 1
+      && Number.isInteger(r[2]) && r[2] >= 0 && r[2] < 16 && unit(r[3]) && unit(r[4]);
+    if (!Array.isArray(d.inputs) || !d.inputs.length || !d.inputs.every(okRow)) return 'Replay input stream is empty or malformed.';
+    return null;
+  }
+
   /* End & scores */
   function endRun(reason) {
     if (game.state === 'over') return;
     game.state = 'over';
     show(ui.gameoverOverlay);
     document.querySelector('#gameoverTitle').textContent = reason;
-    document.querySelector('#gameoverStats').textContent = `Score ${game.score.toFixed(0)} - Time ${game.runTime.toFixed(1)}s`;
-    recordScore();
+    const locked = PERKS.filter(p => !perkUnlocked(p));
+    const best = game.mode === 'player' && recordScore();
+    playSting(best);
+    const fresh = locked.filter(perkUnlocked);
+    if (best && game.ghostRec) storeGhost(scoreKey(), encodeGhost(game.ghostRec));
+    document.querySelector('#gameoverStats').textContent = `${game.runMode.name} - Score ${game.score.toFixed(0)} - Time ${game.runTime.toFixed(1)}s${game.bestLap ? ` - Best lap ${game.bestLap.toFixed(2)}s` : ''}${best ? ' - New best!' : ''}${fresh.length ? ` - Unlocked: ${fresh.map(p => p.name).join(', ')}` : ''}`;
     populatePerks();
   }
 
-  function recordScore() {
+  // Free runs keep the plain map id key; other modes are stored as `map:mode`.
+  // Generated arenas carry seed and difficulty in their id, so each seed keeps its own bests and ghost.
+  function scoreKey() {
     const id = MAPS[game.mapIndex].id;
-    const prev = game.scores[id] || { best: 0 };
-    if (game.score > (prev.best || 0)) game.scores[id] = { best: game.score, time: game.runTime };
+    return game.runMode.id === 'free' ? id : `${id}:${game.runMode.id}`;
+  }
+
+  function recordScore() {
+    const key = scoreKey();
+    const prev = game.scores[key];
+    const better = game.runMode.rank === 'time'
+      ? game.sprintDone && (!prev?.time || game.runTime < prev.time)
+      : game.score > (prev?.best || 0);
+    const entry = better ? { best: game.score, time: game.runTime } : { ...prev };
+    const laps = [prev?.bestLap, game.bestLap].filter(Boolean);
+    if (laps.length) entry.bestLap = Math.min(...laps);
+    if (better || entry.bestLap !== prev?.bestLap) game.scores[key] = entry;
     saveScores();
+    return better;
   }
 
+  // Best score on a map across every mode; unlocks don't care how you got there.
+  function mapBest(mapId) {
+    return Object.entries(game.scores).reduce((n, [k, v]) => (k === mapId || k.startsWith(`${mapId}:`) ? Math.max(n, v.best || 0) : n), 0);
+  }
+
+  function perkUnlocked(p) { return !p.unlock || mapBest(p.unlock.map) >= p.unlock.score; }
+
+  function unlockText(p) { return `Score ${p.unlock.score} on ${MAPS.find(m => m.id === p.unlock.map)?.name || p.unlock.map}`; }
+
+  // Offer three unlocked perks weighted by rarity; picking one adds it to the stack (oldest drops off when full).
   function populatePerks() {
     if (!ui.upgradeGrid) return;
     ui.upgradeGrid.innerHTML = '';
-    const options = [...PERKS].sort(() => Math.random() - 0.5).slice(0, 3);
+    // Only the player's own runs earn a pick; replays and the attract loop leave the grid empty.
+    if (game.mode !== 'player') return;
+    const pool = PERKS.filter(perkUnlocked);
+    const options = [];
+    while (options.length < 3 && pool.length) {
+      let roll = Math.random() * pool.reduce((n, p) => n + RARITIES[p.rarity].weight, 0);
+      const i = Math.max(0, pool.findIndex(p => (roll -= RARITIES[p.rarity].weight) < 0));
+      options.push(pool.splice(i, 1)[0]);
+    }
     options.forEach(p => {
       const card = document.createElement('button');
-      card.className = 'upgrade-card';
-      card.innerHTML = `<div class="name">${p.name}</div><div class="tiny">${p.desc}</div>`;
-      card.addEventListener('click', () => { game.perk = { id: p.id, name: p.name, desc: p.desc, apply: p.apply ? p.apply : null }; savePerk(); setToast(`${p.name} equipped next run`); });
+      card.className = `upgrade-card rarity-${p.rarity}`;
+      card.innerHTML = `<div class="name">${p.name}</div><div class="rarity">${RARITIES[p.rarity].name}</div><div class="tiny">${p.desc}</div>`;
+      card.disabled = game.perks.includes(p.id);
+      card.addEventListener('click', () => {
+        game.perks = [...game.perks, p.id].slice(-CFG.perkSlots);
+        savePerks();
+        renderPerkSlots();
+        ui.upgradeGrid.querySelectorAll('button').forEach(b => { b.disabled = true; });
+        setToast(`${p.name} equipped next run`);
+      });
       ui.upgradeGrid.appendChild(card);
     });
+    const locked = PERKS.filter(p => !perkUnlocked(p)).sort((a, b) => a.unlock.score - b.unlock.score)[0];
+    if (locked) {
+      const hint = document.createElement('div');
+      hint.className = 'muted tiny';
+      hint.textContent = `Next unlock: ${locked.name} (${RARITIES[locked.rarity].name}) - ${unlockText(locked)}`;
+      ui.upgradeGrid.appendChild(hint);
+    }
+  }
+
+  function perkChip(p, removable) {
+    const x = removable ? ` <button class="chip-x" data-perk="${p.id}" aria-label="Unequip ${p.name}">&times;</button>` : '';
+    return `<span class="fx-chip" style="--fx:${RARITIES[p.rarity].color}" title="${p.desc}">${p.name}${x}</span>`;
+  }
+
+  // Menu "next run" slot: what the next player run will start with; the x unequips.
+  function renderPerkSlots() {
+    if (!ui.perkSlots) return;
+    const equipped = game.perks.map(perkById).filter(Boolean);
+    ui.perkSlots.innerHTML = equipped.map(p => perkChip(p, true)).join('') || '<span class="muted tiny">None - pick one after a run</span>';
+    ui.perkCount.textContent = `${equipped.length}/${CFG.perkSlots}`;
+  }
+
+  function unequipPerk(id) {
+    game.perks = game.perks.filter(p => p !== id);
+    savePerks();
+    renderPerkSlots();
+    setToast(`${perkById(id).name} unequipped`);
+  }
+
+  function renderHudPerks(ids) {
+    if (!ui.hudPerks) return;
+    ui.hudPerks.innerHTML = ids.map(perkById).filter(Boolean).map(p => perkChip(p)).join('');
   }
 
   /* Preview */
-  function drawPreview() {
-    const ctx = ui.mapPreview.getContext('2d');
-    const w = ui.mapPreview.width, h = ui.mapPreview.height;
+  // Top-down plan shared by the menu (spins while hovered) and the editor (passes { sel } to outline the selection).
+  // Screen axes are (-x, -z) so the plan matches the editor's default 3D camera (looking down +z).
+  function drawPreview(canvas = ui.mapPreview, def = MAPS[game.mapIndex], opts = {}) {
+    const ctx = canvas.getContext('2d');
+    const w = canvas.width, h = canvas.height;
     ctx.clearRect(0, 0, w, h);
-    const def = MAPS[game.mapIndex];
+    const scale = planScale(canvas, def);
+    const S = (x, z) => [w / 2 - x * scale, h / 2 - z * scale];
     ctx.save();
-    ctx.translate(w / 2, h / 2);
-    ctx.rotate(-Math.PI / 2);
-    const scale = (Math.min(w, h) / 2.4) / def.size;
+    if (opts.spin) { ctx.translate(w / 2, h / 2); ctx.rotate(opts.spin); ctx.translate(-w / 2, -h / 2); }
+    ctx.fillStyle = 'rgba(20,24,34,0.9)';
     ctx.strokeStyle = '#5c7bff';
     ctx.lineWidth = 2;
     ctx.beginPath();
-    ctx.arc(0, 0, def.size * scale, 0, Math.PI * 2);
+    ctx.arc(w / 2, h / 2, def.size * scale, 0, Math.PI * 2);
+    ctx.fill();
     ctx.stroke();
-    // Keep preview simple (no circle decals).
+    const poly = pts => { ctx.beginPath(); pts.forEach(([x, z], i) => ctx[i ? 'lineTo' : 'moveTo'](...S(x, z))); ctx.closePath(); };
+    const circle = (c, r) => { ctx.beginPath(); ctx.arc(...S(c.x, c.z), Math.max(1, r * scale), 0, Math.PI * 2); };
+    (def.rings || []).forEach(r => {
+      ctx.beginPath();
+      ctx.arc(...S(r.x, r.z), r.outer * scale, 0, Math.PI * 2);
+      ctx.arc(...S(r.x, r.z), r.inner * scale, 0, Math.PI * 2, true);
+      ctx.fillStyle = 'rgba(138,147,166,0.35)'; ctx.fill('evenodd');
+    });
+    (def.platforms || []).forEach(p => { poly(itemCorners(p)); ctx.fillStyle = 'rgba(70,78,96,0.85)'; ctx.fill(); });
+    (def.hazards || []).forEach(z => { circle(z, z.r); ctx.fillStyle = 'rgba(255,90,42,0.75)'; ctx.fill(); });
+    (def.boosts || []).forEach(b => { circle(b, b.r); ctx.strokeStyle = '#5c9bff'; ctx.lineWidth = 2; ctx.stroke(); });
+    (def.ramps || []).forEach(r => {
+      const c = itemCorners(r);
+      // Wedge shading runs dark (low end) to light, and the high end gets a bright lip.
+      const lo = S((c[0][0] + c[1][0]) / 2, (c[0][1] + c[1][1]) / 2), hi = S((c[2][0] + c[3][0]) / 2, (c[2][1] + c[3][1]) / 2);
+      const grad = ctx.createLinearGradient(...lo, ...hi);
+      grad.addColorStop(0, 'rgba(120,130,150,0.35)');
+      grad.addColorStop(1, 'rgba(230,236,248,0.9)');
+      poly(c); ctx.fillStyle = grad; ctx.fill();
+      ctx.beginPath(); ctx.moveTo(...S(...c[2])); ctx.lineTo(...S(...c[3])); ctx.strokeStyle = '#ffffff'; ctx.lineWidth = 3; ctx.stroke();
+    });
+    (def.checkpoints || []).forEach((c, i) => {
+      const [a, b] = gateEnds(c);
+      ctx.beginPath(); ctx.moveTo(...S(...a)); ctx.lineTo(...S(...b));
+      ctx.strokeStyle = i === 0 ? '#f4f7ff' : '#ffb347'; ctx.lineWidth = 3; ctx.stroke();
+    });
+    // Spawn: a small arrow pointing the way the car starts.
+    const sp = spawnPoint(def), yaw = sp.yaw || 0, u = Math.max(7, 16 * scale) / scale;
+    const at = (f, r) => S(sp.x + (Math.sin(yaw) * f + Math.cos(yaw) * r) * u, sp.z + (Math.cos(yaw) * f - Math.sin(yaw) * r) * u);
+    ctx.beginPath(); ctx.moveTo(...at(1, 0)); ctx.lineTo(...at(-0.4, 0.5)); ctx.lineTo(...at(-0.4, -0.5)); ctx.closePath();
+    ctx.fillStyle = '#7cf0d8'; ctx.fill();
+    const sel = opts.sel && def[opts.sel.kind]?.[opts.sel.i];
+    if (sel) {
+      ctx.strokeStyle = '#7cf0d8'; ctx.lineWidth = 2; ctx.setLineDash([5, 4]);
+      if (opts.sel.kind === 'checkpoints') { const [a, b] = gateEnds(sel); ctx.beginPath(); ctx.moveTo(...S(...a)); ctx.lineTo(...S(...b)); }
+      else if ('w' in sel) poly(itemCorners(sel));
+      else circle(sel, sel.r || sel.outer);
+      ctx.stroke();
+      ctx.setLineDash([]);
+    }
     ctx.restore();
   }
+
+  function planScale(canvas, def) { return (Math.min(canvas.width, canvas.height) / 2.2) / def.size; }
+
+  // World-space corners of a yawed w x l rectangle; corners 2/3 are the +l end (a ramp's high end).
+  function itemCorners(it) {
+    const yaw = it.yaw || 0;
+    const wx = Math.cos(yaw), wz = -Math.sin(yaw), lx = Math.sin(yaw), lz = Math.cos(yaw);
+    const hw = it.w / 2, hl = it.l / 2;
+    return [[-hw, -hl], [hw, -hl], [hw, hl], [-hw, hl]].map(([a, b]) => [it.x + wx * a + lx * b, it.z + wz * a + lz * b]);
+  }
+
+  function gateEnds(c) {
+    const yaw = c.yaw || 0, hw = c.w / 2;
+    return [[c.x - Math.cos(yaw) * hw, c.z + Math.sin(yaw) * hw], [c.x + Math.cos(yaw) * hw, c.z - Math.sin(yaw) * hw]];
+  }
+
+  /* Arena editor */
+  // Plan canvas places/selects/drags items; the 3D view is a free fly camera over the live arena (rebuilt on each edit).
+  function openEditor(src, resume) {
+    editor.testing = false;
+    if (!resume) {
+      editor.def = JSON.parse(JSON.stringify(src));
+      // Built-ins are never edited in place: start a custom copy.
+      if (!src.custom) Object.assign(editor.def, { id: `custom-${Date.now().toString(36)}`, name: `${src.name} copy`, desc: 'Custom arena.', custom: true });
+      // A copy of the Random arena is a plain custom map, not another seed slot.
+      delete editor.def.generated;
+      editor.sel = null;
+      editor.tool = null;
+      editor.dirty = false;
+      editor.saved = src.custom ? JSON.parse(JSON.stringify(src)) : null;
+      Object.assign(editor.cam, { x: 0, y: editor.def.size * 0.45, z: -editor.def.size * 0.95, yaw: 0, pitch: -0.42 });
+    }
+    game.state = 'editor';
+    hide(ui.menuPanel); hide(ui.pauseOverlay); hide(ui.gameoverOverlay); hide(ui.focusGate);
+    ui.hud.classList.add('hidden');
+    show(ui.editorPanel);
+    ghostMesh.visible = false;
+    rebuildEditorArena();
+    renderEditor();
+  }
+
+  function closeEditor() {
+    if (!confirmDiscard()) return;
+    hide(ui.editorPanel);
+    selectMap(game.mapIndex);
+    gotoMenu();
+  }
+
+  function rebuildEditorArena() {
+    game.map = editor.def;
+    buildArena(editor.def);
+    // The editor shows geometry only: no cars or pickups parked in the way.
+    activeRivals.length = 0; activePickups.length = 0;
+    rivalPool.forEach(m => { m.visible = false; });
+    pickupPool.forEach(m => { m.visible = false; });
+    playerMesh.position.set(0, -50, 0);
+  }
+
+  function renderEditor() {
+    const d = editor.def;
+    ui.edName.value = d.name;
+    ui.edSize.value = d.size;
+    ui.edDifficulty.value = d.difficulty;
+    ui.edTools.querySelectorAll('[data-kind]').forEach(b => b.classList.toggle('active', b.dataset.kind === editor.tool));
+    document.querySelector('#edDelete').disabled = !MAPS.some(m => m.id === d.id);
+    renderEditorFields();
+    drawEditorPlan();
+  }
+
+  function drawEditorPlan() { drawPreview(ui.editorMap, editor.def, { sel: editor.sel }); }
+
+  function renderEditorFields() {
+    ui.edFields.innerHTML = '';
+    const sel = editor.sel && editor.def[editor.sel.kind]?.[editor.sel.i];
+    if (!sel) { ui.edFields.innerHTML = '<div class="muted tiny">Nothing selected. Pick a tool and click the plan, or click an item.</div>'; return; }
+    const kind = EDITOR_KINDS[editor.sel.kind];
+    const title = document.createElement('div');
+    title.className = 'label';
+    title.textContent = `${kind.label} ${editor.sel.i + 1}`;
+    ui.edFields.appendChild(title);
+    const ranges = { x: [-d0(), d0()], z: [-d0(), d0()], ...kind.fields };
+    Object.entries(ranges).forEach(([key, [min, max]]) => {
+      const deg = key === 'yaw';
+      const label = document.createElement('label');
+      label.className = 'ed-field';
+      label.innerHTML = `<span>${deg ? 'yaw°' : key}</span>`;
+      const input = document.createElement('input');
+      input.type = 'number';
+      input.min = deg ? -180 : min; input.max = deg ? 180 : max; input.step = deg ? 5 : 1;
+      input.value = deg ? Math.round(sel.yaw * 180 / Math.PI) : sel[key];
+      input.addEventListener('change', () => {
+        const v = Number(input.value);
+        if (!Number.isFinite(v)) return;
+        sel[key] = deg ? clamp(v, -180, 180) * Math.PI / 180 : clamp(v, min, max);
+        editorChanged();
+      });
+      label.appendChild(input);
+      ui.edFields.appendChild(label);
+    });
+  }
+  function d0() { return Math.round(editor.def.size); }
+
+  // Unsaved edits only live in editor.def (and in MAPS after a test drive), so anything that replaces it asks first.
+  function confirmDiscard() {
+    if (!editor.dirty) return true;
+    if (!window.confirm(`Discard unsaved changes to ${editor.def.name}?`)) return false;
+    // Put back what was there before any test drive: the last saved copy, or nothing.
+    const idx = MAPS.findIndex(m => m.id === editor.def.id);
+    if (idx >= 0 && editor.saved) MAPS[idx] = JSON.parse(JSON.stringify(editor.saved));
+    else if (idx >= 0) {
+      MAPS.splice(idx, 1);
+      if (game.mapIndex >= idx) game.mapIndex = game.mapIndex === idx ? 0 : game.mapIndex - 1;
+    }
+    editor.dirty = false;
+    buildMapList();
+    return true;
+  }
+
+  function editorChanged() {
+    editor.dirty = true;
+    rebuildEditorArena();
+    renderEditor();
+  }
+
+  function planToWorld(e) {
+    const c = ui.editorMap, rect = c.getBoundingClientRect();
+    const px = (e.clientX - rect.left) * (c.width / (rect.width || c.width));
+    const py = (e.clientY - rect.top) * (c.height / (rect.height || c.height));
+    const scale = planScale(c, editor.def);
+    return { x: (c.width / 2 - px) / scale, z: (c.height / 2 - py) / scale };
+  }
+
+  // Topmost item under a world point (later kinds draw on top, so search them first).
+  function editorHit(x, z) {
+    const kinds = ['checkpoints', 'ramps', 'boosts', 'hazards', 'platforms', 'rings'];
+    for (const kind of kinds) {
+      const list = editor.def[kind] || [];
+      for (let i = list.length - 1; i >= 0; i--) {
+        const it = list[i];
+        const dx = x - it.x, dz = z - it.z;
+        let hit;
+        if (kind === 'checkpoints') hit = Math.hypot(dx, dz) < it.w / 2 + 6;
+        else if ('w' in it) {
+          const yaw = it.yaw || 0;
+          const lw = dx * Math.cos(yaw) - dz * Math.sin(yaw), ll = dx * Math.sin(yaw) + dz * Math.cos(yaw);
+          hit = Math.abs(lw) <= it.w / 2 && Math.abs(ll) <= it.l / 2;
+        } else hit = Math.hypot(dx, dz) <= (it.r || it.outer);
+        if (hit) return { kind, i };
+      }
+    }
+    return null;
+  }
+
+  function bindEditor() {
+    ui.edTools.innerHTML = Object.entries(EDITOR_KINDS).map(([k, v]) => `<button class="mode-card" data-kind="${k}">+ ${v.label}</button>`).join('');
+    ui.edTools.addEventListener('click', e => {
+      const kind = e.target.closest('[data-kind]')?.dataset.kind;
+      if (!kind) return;
+      editor.tool = editor.tool === kind ? null : kind;
+      renderEditor();
+    });
+    ui.edName.addEventListener('change', () => { editor.def.name = ui.edName.value.trim().slice(0, 32) || 'Custom arena'; editor.dirty = true; renderEditor(); });
+    ui.edSize.addEventListener('change', () => { editor.def.size = clamp(Math.round(Number(ui.edSize.value) || editor.def.size), ...MAP_SIZE_RANGE); editorChanged(); });
+    ui.edDifficulty.addEventListener('change', () => { editor.def.difficulty = ui.edDifficulty.value; editor.dirty = true; });
+
+    const plan = ui.editorMap;
+    plan.addEventListener('pointerdown', e => {
+      const p = planToWorld(e);
+      if (editor.tool) {
+        const list = editor.def[editor.tool] || (editor.def[editor.tool] = []);
+        list.push(EDITOR_KINDS[editor.tool].make(Math.round(p.x), Math.round(p.z)));
+        editor.sel = { kind: editor.tool, i: list.length - 1 };
+        editor.tool = null;
+        editorChanged();
+        return;
+      }
+      editor.sel = editorHit(p.x, p.z);
+      if (editor.sel) {
+        const it = editor.def[editor.sel.kind][editor.sel.i];
+        editor.drag = { dx: it.x - p.x, dz: it.z - p.z, moved: false };
+        plan.setPointerCapture?.(e.pointerId);
+      }
+      renderEditor();
+    });
+    plan.addEventListener('pointermove', e => {
+      if (!editor.drag || !editor.sel) return;
+      const p = planToWorld(e);
+      const it = editor.def[editor.sel.kind][editor.sel.i];
+      const lim = editor.def.size;
+      it.x = clamp(Math.round(p.x + editor.drag.dx), -lim, lim);
+      it.z = clamp(Math.round(p.z + editor.drag.dz), -lim, lim);
+      editor.drag.moved = true;
+      drawEditorPlan();
+    });
+    const endDrag = () => {
+      if (editor.drag?.moved) editorChanged();
+      editor.drag = null;
+    };
+    plan.addEventListener('pointerup', endDrag);
+    plan.addEventListener('pointercancel', endDrag);
+
+    // Right-drag on the 3D view looks around.
+    ui.canvas.addEventListener('contextmenu', e => { if (game.state === 'editor') e.preventDefault(); });
+    ui.canvas.addEventListener('pointerdown', e => { if (game.state === 'editor' && e.button === 2) editor.look = { x: e.clientX, y: e.clientY }; });
+    window.addEventListener('pointermove', e => {
+      if (!editor.look) return;
+      editor.cam.yaw -= (e.clientX - editor.look.x) * 0.005;
+      editor.cam.pitch = clamp(editor.cam.pitch - (e.clientY - editor.look.y) * 0.005, -1.5, 1.2);
+      editor.look = { x: e.clientX, y: e.clientY };
+    });
+    window.addEventListener('pointerup', () => { editor.look = null; });
+
+    document.querySelector('#edNew').addEventListener('click', () => {
+      if (!confirmDiscard()) return;
+      openEditor({ id: `custom-${Date.now().toString(36)}`, name: 'Custom arena', desc: 'Custom arena.', custom: true, difficulty: 'Medium', size: 420, hazards: [], boosts: [], ramps: [], platforms: [], rings: [], checkpoints: [] });
+    });
+    document.querySelector('#edTest').addEventListener('click', () => {
+      if (reportMapProblems('Arena problems', validateMapDef(editor.def))) return;
+      const idx = upsertCustomMap(editor.def);
+      hide(ui.editorPanel);
+      buildMapList();
+      selectMap(idx);
+      editor.testing = true;
+      startRun('player');
+    });
+    document.querySelector('#edSave').addEventListener('click', () => {
+      if (reportMapProblems('Arena problems', validateMapDef(editor.def))) return;
+      const idx = upsertCustomMap(editor.def);
+      saveCustomMaps();
+      editor.dirty = false;
+      editor.saved = JSON.parse(JSON.stringify(MAPS[idx]));
+      buildMapList();
+      selectMap(idx);
+      renderEditor();
+      setToast(`Saved ${editor.def.name}`);
+    });
+    document.querySelector('#edDelete').addEventListener('click', () => {
+      const idx = MAPS.findIndex(m => m.id === editor.def.id);
+      if (idx < 0 || !MAPS[idx].custom) return;
+      MAPS.splice(idx, 1);
+      saveCustomMaps();
+      buildMapList();
+      selectMap(0);
+      setToast(`Deleted ${editor.def.name}`);
+      editor.dirty = false;
+      closeEditor();
+    });
+    document.querySelector('#edExport').addEventListener('click', () => exportMap(editor.def));
+    document.querySelector('#edClose').addEventListener('click', closeEditor);
+  }
+
+  // Test drives run from MAPS like any other arena; only Save writes to storage.
+  function upsertCustomMap(def) {
+    const copy = JSON.parse(JSON.stringify(def));
+    const idx = MAPS.findIndex(m => m.id === def.id);
+    if (idx >= 0) { MAPS[idx] = copy; return idx; }
+    MAPS.push(copy);
+    return MAPS.length - 1;
+  }
+
+  // Returns true when the key was an editor command (so game bindings don't also fire).
+  function editorKey(k, e) {
+    if (/INPUT|SELECT|TEXTAREA/.test(e.target?.tagName || '')) return true;
+    const sel = editor.sel && editor.def[editor.sel.kind]?.[editor.sel.i];
+    if ((k === 'q' || k === 'e') && sel && 'yaw' in sel) {
+      sel.yaw = Math.atan2(Math.sin(sel.yaw + (k === 'q' ? 1 : -1) * Math.PI / 12), Math.cos(sel.yaw + (k === 'q' ? 1 : -1) * Math.PI / 12));
+      editorChanged();
+      return true;
+    }
+    if ((k === 'delete' || k === 'backspace') && sel) {
+      editor.def[editor.sel.kind].splice(editor.sel.i, 1);
+      editor.sel = null;
+      editorChanged();
+      return true;
+    }
+    if (k === 'escape') { editor.sel = null; editor.tool = null; renderEditor(); return true; }
+    // Fly keys belong to the 3D view (F would otherwise also toggle fullscreen).
+    return ['w', 'a', 's', 'd', 'r', 'f', 'shift'].includes(k);
+  }
+
+  function updateEditorCamera(dt) {
+    const c = editor.cam;
+    const typing = /INPUT|SELECT|TEXTAREA/.test(document.activeElement?.tagName || '');
+    if (!typing) {
+      const sp = editor.def.size * (keys.shift ? 1.6 : 0.6) * dt;
+      const fx = Math.sin(c.yaw), fz = Math.cos(c.yaw);
+      const mv = (keys.w ? 1 : 0) - (keys.s ? 1 : 0), st = (keys.d ? 1 : 0) - (keys.a ? 1 : 0);
+      c.x += (fx * mv - fz * st) * sp;
+      c.z += (fz * mv + fx * st) * sp;
+      c.y = clamp(c.y + ((keys.r ? 1 : 0) - (keys.f ? 1 : 0)) * sp, 3, editor.def.size * 1.5);
+    }
+    camera.position.set(c.x, c.y, c.z);
+    camera.lookAt(c.x + Math.sin(c.yaw) * Math.cos(c.pitch), c.y + Math.sin(c.pitch), c.z + Math.cos(c.yaw) * Math.cos(c.pitch));
+  }
+
+  /* Graphics quality */
+  // Applies a QUALITY tier to the live renderer and scene; safe to call mid-run.
+  function applyQuality(tier) {
+    const q = QUALITY[tier] || QUALITY.high;
+    world.quality = q;
+    // A deliberate tier change starts the governor over at full scale.
+    Object.assign(world.governor, { level: 0, slow: 0, fast: 0 });
+    applyShadows();
+    if (world.sun.shadow.mapSize.x !== q.shadowSize) {
+      world.sun.shadow.mapSize.set(q.shadowSize, q.shadowSize);
+      world.sun.shadow.map?.dispose();
+      world.sun.shadow.map = null;
+    }
+    scene.fog.far = q.fogFar;
+    if (world.particles?.max !== q.particles) initParticles(q.particles);
+    if (world.speedFxPos?.length !== q.speedFx * 3) {
+      camera.remove(world.speedFx);
+      world.speedFx.geometry.dispose();
+      world.speedFx.material.dispose();
+      world.speedFx = createSpeedFx(q.speedFx);
+      camera.add(world.speedFx);
+    }
+    applyPropDensity();
+    resize();
+  }
+
+  // Effective shadows = tier setting AND the governor step.
+  function applyShadows() {
+    const q = world.quality, step = GOVERNOR_STEPS[world.governor.level];
+    const on = q.shadows && step.shadows;
+    const changed = renderer.shadowMap.enabled !== on || renderer.shadowMap.type !== THREE[q.shadowType];
+    renderer.shadowMap.enabled = on;
+    renderer.shadowMap.type = THREE[q.shadowType];
+    world.sun.castShadow = on;
+    [world.props, world.rocks].forEach(mesh => { if (mesh) mesh.castShadow = on && step.propShadows; });
+    // Shadow on/off and filter type are baked into compiled shaders.
+    if (changed) scene.traverse(o => { if (o.material) [].concat(o.material).forEach(m => { m.needsUpdate = true; }); });
+  }
+
+  function applyPropDensity() {
+    [world.props, world.rocks].forEach(mesh => {
+      if (mesh) mesh.count = Math.floor(mesh.instanceMatrix.count * world.quality.props);
+    });
+    applyShadows();
+  }
+
+  // Steps down GOVERNOR_STEPS after a sustained stretch over CFG.govBudget (smoothed game.fps),
+  // and back up after a longer stretch with headroom, so it doesn't flap around the budget.
+  function updateGovernor(dt) {
+    const gov = world.governor, frame = 1 / game.fps;
+    if (frame > CFG.govBudget) { gov.slow += dt; gov.fast = 0; }
+    else if (frame < CFG.govBudget * CFG.govHeadroom) { gov.fast += dt; gov.slow = 0; }
+    else { gov.slow = 0; gov.fast = 0; }
+    if (gov.slow >= CFG.govDropAfter && gov.level < GOVERNOR_STEPS.length - 1) setGovernorLevel(gov.level + 1);
+    else if (gov.fast >= CFG.govRaiseAfter && gov.level > 0) setGovernorLevel(gov.level - 1);
+  }
+
+  function setGovernorLevel(level) {
+    const gov = world.governor, prev = GOVERNOR_STEPS[gov.level], next = GOVERNOR_STEPS[level];
+    gov.level = level; gov.slow = 0; gov.fast = 0;
+    if (prev.scale !== next.scale) resize();
+    if (prev.shadows !== next.shadows || prev.propShadows !== next.propShadows) applyShadows();
+  }
 
   /* Resize */
   function resize() {
     const w = window.innerWidth, h = window.innerHeight;
-    const dpr = Math.min(window.devicePixelRatio || 1, CFG.dprCap);
+    const dpr = Math.min(window.devicePixelRatio || 1, world.quality.dprCap) * GOVERNOR_STEPS[world.governor.level].scale;
     renderer.setPixelRatio(dpr);
     renderer.setSize(w, h, false);
     camera.aspect = w / h;
@@ -1644,20 +3652,305 @@ BASELINE AUDIT (before fixes):
 
   function fatal(err) {
     console.error(err);
-    if (ui.errorTitle && ui.errorBody) {
-      ui.errorTitle.textContent = 'Load error';
-      ui.errorBody.textContent = err.message || err.toString();
-      show(ui.errorOverlay);
+    showError('Load error', err.message || err.toString());
+  }
+
+  function showError(title, message) {
+    if (!ui.errorTitle || !ui.errorBody) return;
+    ui.errorTitle.textContent = title;
+    ui.errorBody.textContent = message;
+    show(ui.errorOverlay);
+  }
+
+  /* Audio */
+  function ensureAudio() {
+    if (audio.ctx) {
+      if (audio.ctx.state === 'suspended') audio.ctx.resume().catch(() => {});
+      return audio.ctx;
+    }
+    const Ctx = window.AudioContext || window.webkitAudioContext;
+    if (!Ctx) return null;
+    const ctx = audio.ctx = new Ctx();
+    audio.master = ctx.createGain();
+    audio.sfx = ctx.createGain();
+    audio.sfx.connect(audio.master).connect(ctx.destination);
+    audio.music = ctx.createGain();
+    audio.music.connect(audio.master);
+    audio.stems = Object.fromEntries(['pad', 'bass', 'drums', 'arp'].map(k => {
+      const g = ctx.createGain();
+      g.gain.value = 0;
+      g.connect(audio.music);
+      return [k, g];
+    }));
+    applyVolumes();
+    const buf = ctx.createBuffer(1, ctx.sampleRate * 2, ctx.sampleRate);
+    const data = buf.getChannelData(0);
+    for (let i = 0; i < data.length; i++) data[i] = Math.random() * 2 - 1;
+    audio.noise = buf;
+    audio.engine = buildEngineLayer(ctx);
+    audio.screech = buildNoiseLayer(ctx, 'bandpass', 2600, 6);
+    audio.whoosh = buildNoiseLayer(ctx, 'bandpass', 600, 1.2);
+    // Lava voices are reassigned to the nearest pools every frame; one low sine under all of them gives the rumble its body.
+    const sub = ctx.createOscillator();
+    sub.type = 'sine'; sub.frequency.value = 38;
+    sub.start();
+    for (let i = 0; i < CFG.lavaVoices; i++) {
+      const v = buildNoiseLayer(ctx, 'lowpass', 140, 0.7, makePanner(ctx, 14, 500));
+      sub.connect(v.gain);
+      audio.lava.push(v);
     }
+    return ctx;
+  }
+
+  function makePanner(ctx, refDistance, maxDistance) {
+    const p = ctx.createPanner();
+    p.panningModel = 'HRTF';
+    p.distanceModel = 'inverse';
+    p.refDistance = refDistance;
+    p.maxDistance = maxDistance;
+    p.rolloffFactor = 1.2;
+    p.connect(audio.sfx);
+    return p;
+  }
+
+  // AudioParam positions where supported, setPosition() on older WebKit.
+  function placeNode(node, x, y, z, t) {
+    if (node.positionX) { node.positionX.setTargetAtTime(x, t, 0.03); node.positionY.setTargetAtTime(y, t, 0.03); node.positionZ.setTargetAtTime(z, t, 0.03); }
+    else node.setPosition(x, y, z);
+  }
+
+  function updateListener(t) {
+    const l = audio.ctx.listener, p = camera.position, f = camera.getWorldDirection(new THREE.Vector3());
+    placeNode(l, p.x, p.y, p.z, t);
+    if (l.forwardX) {
+      l.forwardX.setTargetAtTime(f.x, t, 0.03); l.forwardY.setTargetAtTime(f.y, t, 0.03); l.forwardZ.setTargetAtTime(f.z, t, 0.03);
+      l.upX.setTargetAtTime(0, t, 0.03); l.upY.setTargetAtTime(1, t, 0.03); l.upZ.setTargetAtTime(0, t, 0.03);
+    } else l.setOrientation(f.x, f.y, f.z, 0, 1, 0);
+  }
+
+  // Doppler factor for a source moving relative to the player (positive closing speed = higher pitch).
+  function doppler(pos, vel) {
+    const dx = pos.x - game.pos.x, dz = pos.z - game.pos.z, d = Math.max(1e-3, Math.hypot(dx, dz));
+    const closing = -((vel.x - game.vel.x) * dx + (vel.z - game.vel.z) * dz) / d;
+    return CFG.soundSpeed / (CFG.soundSpeed - clamp(closing, -CFG.soundSpeed * 0.5, CFG.soundSpeed * 0.5));
+  }
+
+  // Rival engines: voices follow rivals in activeRivals, freed voices are reused by the next spawn.
+  function updateRivalVoices(t, live) {
+    audio.rivals.forEach(v => { if (v.rival && !activeRivals.includes(v.rival)) { v.rival = null; v.gain.gain.setTargetAtTime(0, t, 0.05); } });
+    activeRivals.forEach(r => {
+      let v = audio.rivals.find(x => x.rival === r);
+      if (!v) {
+        v = audio.rivals.find(x => !x.rival) || audio.rivals[audio.rivals.push(buildEngineLayer(audio.ctx, makePanner(audio.ctx, 10, 400))) - 1];
+        v.rival = r;
+      }
+      const speed01 = clamp(r.speed / Math.max(1, CFG.fxRefSpeed * game.speedScale), 0, 1);
+      const note = (RIVAL_TYPES[r.type].hum + speed01 * 110) * doppler(r.pos, r.vel);
+      v.osc.frequency.setTargetAtTime(note, t, 0.05);
+      v.sub.frequency.setTargetAtTime(note * 0.5, t, 0.05);
+      v.filter.frequency.setTargetAtTime(400 + speed01 * 1800, t, 0.1);
+      v.gain.gain.setTargetAtTime(live && !(r.stun > 0) ? 0.06 + speed01 * 0.05 : 0, t, 0.1);
+      placeNode(v.panner, r.pos.x, r.pos.y + 1, r.pos.z, t);
+    });
+  }
+
+  // Each lava voice sits on the nearest point of one of the closest pools' rims, so big pools sound close at the edge.
+  function updateLavaVoices(t, live) {
+    const near = (game.map.hazards || [])
+      .map(h => ({ h, edge: Math.hypot(game.pos.x - h.x, game.pos.z - h.z) - h.r }))
+      .sort((a, b) => a.edge - b.edge);
+    audio.lava.forEach((v, i) => {
+      const n = near[i];
+      v.gain.gain.setTargetAtTime(live && n ? 0.22 : 0, t, 0.2);
+      if (!n) return;
+      const dx = game.pos.x - n.h.x, dz = game.pos.z - n.h.z, d = Math.max(1e-3, Math.hypot(dx, dz));
+      const k = Math.min(d, n.h.r) / d;
+      placeNode(v.panner, n.h.x + dx * k, 0, n.h.z + dz * k, t);
+    });
+  }
+
+  // One-shot pass-by for near misses: a noise band that sweeps from the approaching to the receding doppler pitch.
+  function playNearMiss(r) {
+    if (!audio.ctx || !game.settings.volMaster || !game.settings.volSfx) return;
+    const ctx = audio.ctx, t = ctx.currentTime;
+    const rel = Math.hypot(r.vel.x - game.vel.x, r.vel.z - game.vel.z);
+    const up = CFG.soundSpeed / (CFG.soundSpeed - Math.min(rel, CFG.soundSpeed * 0.5)), down = CFG.soundSpeed / (CFG.soundSpeed + rel);
+    const panner = makePanner(ctx, 6, 200);
+    placeNode(panner, r.pos.x, r.pos.y + 1, r.pos.z, t);
+    const v = buildNoiseLayer(ctx, 'bandpass', 1400 * up, 2.5, panner);
+    v.filter.frequency.setValueAtTime(1400 * up, t);
+    v.filter.frequency.exponentialRampToValueAtTime(1400 * down, t + 0.45);
+    v.gain.gain.setValueAtTime(0, t);
+    v.gain.gain.linearRampToValueAtTime(0.25, t + 0.12);
+    v.gain.gain.exponentialRampToValueAtTime(0.001, t + 0.5);
+    v.src.stop(t + 0.55);
+    v.src.onended = () => panner.disconnect();
+  }
+
+  function applyVolumes() {
+    if (!audio.ctx) return;
+    const t = audio.ctx.currentTime;
+    audio.master.gain.setTargetAtTime(game.settings.volMaster, t, 0.03);
+    audio.sfx.gain.setTargetAtTime(game.settings.volSfx, t, 0.03);
+    audio.music.gain.setTargetAtTime(game.settings.volMusic, t, 0.03);
+  }
+
+  // Sawtooth plus a square sub-octave through a lowpass; the filter is the "timbre" knob.
+  // Layers play straight into the sfx bus unless given a destination (a panner for positional voices).
+  function buildEngineLayer(ctx, out = audio.sfx) {
+    const osc = ctx.createOscillator(), sub = ctx.createOscillator();
+    const filter = ctx.createBiquadFilter(), gain = ctx.createGain();
+    osc.type = 'sawtooth'; sub.type = 'square';
+    filter.type = 'lowpass'; filter.Q.value = 3;
+    gain.gain.value = 0;
+    osc.connect(filter); sub.connect(filter);
+    filter.connect(gain).connect(out);
+    osc.start(); sub.start();
+    return { osc, sub, filter, gain, panner: out === audio.sfx ? null : out };
+  }
+
+  function buildNoiseLayer(ctx, type, freq, q, out = audio.sfx) {
+    const src = ctx.createBufferSource(), filter = ctx.createBiquadFilter(), gain = ctx.createGain();
+    src.buffer = audio.noise; src.loop = true;
+    filter.type = type; filter.frequency.value = freq; filter.Q.value = q;
+    gain.gain.value = 0;
+    src.connect(filter).connect(gain).connect(out);
+    src.start();
+    return { src, filter, gain, panner: out === audio.sfx ? null : out };
+  }
+
+  // Runs once per rendered frame; reads game state only, so it never touches the simulation.
+  function updateAudio() {
+    if (!audio.ctx) return;
+    const t = audio.ctx.currentTime;
+    const set = (param, v, tc = 0.05) => param.setTargetAtTime(v, t, tc);
+    const live = game.state === 'playing';
+    const speed01 = clamp(game.speed / Math.max(1, CFG.fxRefSpeed * game.speedScale), 0, 1);
+    const thr = live ? game.throttle : 0;
+    // Engine pitch follows speed with a little throttle lift; the filter opens under load.
+    const note = 42 + speed01 * 130 + thr * 18;
+    set(audio.engine.osc.frequency, note);
+    set(audio.engine.sub.frequency, note * 0.5);
+    set(audio.engine.filter.frequency, 300 + thr * 1400 + speed01 * 1600);
+    set(audio.engine.gain.gain, live ? 0.05 + thr * 0.05 + speed01 * 0.03 : 0, 0.1);
+    // Tyres scream with sideways slip, only while drifting with wheels down.
+    const lateral = Math.abs(game.vel.x * Math.cos(game.yaw) - game.vel.z * Math.sin(game.yaw));
+    const slip = live && game.drifting && game.grounded ? clamp(lateral / 30, 0, 1) : 0;
+    set(audio.screech.gain.gain, slip * 0.12);
+    set(audio.screech.filter.frequency, 2200 + slip * 1400);
+    const boost = live && game.boosting ? 1 : 0;
+    set(audio.whoosh.gain.gain, boost * 0.1, 0.08);
+    set(audio.whoosh.filter.frequency, 500 + boost * (600 + speed01 * 1800), 0.25);
+    updateListener(t);
+    updateRivalVoices(t, live);
+    updateLavaVoices(t, live);
+    updateMusic(t);
+  }
+
+  /* Music */
+  // Stem levels follow the run: bass with combo (full at x9), drums with combo and rival proximity,
+  // arpeggio while boosting or deep in a combo. Paused/game over drops to a quiet pad.
+  function updateMusic(t) {
+    const calm = !['playing', 'paused', 'over'].includes(game.state);
+    let lv;
+    if (game.state === 'playing') {
+      const combo01 = clamp((game.combo - 1) / 8, 0, 1);
+      const danger = activeRivals.reduce((m, r) => Math.max(m, clamp(1 - Math.hypot(r.pos.x - game.pos.x, r.pos.z - game.pos.z) / CFG.musicDangerRange, 0, 1)), 0);
+      lv = {
+        pad: 0.45,
+        bass: 0.35 + combo01 * 0.65,
+        drums: clamp(0.2 + danger * 0.8 + combo01 * 0.4, 0, 1),
+        arp: clamp((game.boosting ? 0.7 : 0) + Math.max(0, combo01 - 0.4) * 1.5, 0, 1),
+      };
+    } else lv = calm ? { pad: 0.6, bass: 0, drums: 0, arp: 0.4 } : { pad: 0.25, bass: 0, drums: 0, arp: 0 };
+    Object.entries(lv).forEach(([k, v]) => audio.stems[k].gain.setTargetAtTime(v, t, 0.4));
+
+    // Schedule every 16th that falls inside the lookahead window; a muted bus holds the sequencer
+    // and the cleared clock restarts it just ahead of now on unmute.
+    const seq = audio.seq;
+    if (!(game.settings.volMusic > 0 && game.settings.volMaster > 0)) { seq.next = 0; return; }
+    if (seq.next < t) seq.next = t + 0.05;
+    while (seq.next < t + MUSIC.lookahead) {
+      scheduleStep(seq.step, seq.next, calm, lv);
+      seq.next += 60 / (calm ? MUSIC.calmBpm : MUSIC.runBpm) / 4;
+      seq.step = (seq.step + 1) % 64;
+    }
+  }
+
+  function scheduleStep(step, when, calm, lv) {
+    const chord = MUSIC.chords[Math.floor(step / 16)], s16 = step % 16;
+    const sixteenth = 60 / (calm ? MUSIC.calmBpm : MUSIC.runBpm) / 4;
+    if (s16 === 0) chord.forEach(n => playNote(audio.stems.pad, 'triangle', n - 12, when, sixteenth * 16, 0.07, 900));
+    if (calm) {
+      // Sparse bells: a chord tone an octave up on some beats.
+      if (s16 % 4 === 0 && Math.random() < 0.6) playNote(audio.stems.arp, 'sine', chord[Math.floor(Math.random() * 3)] + 12, when, sixteenth * 6, 0.06);
+      return;
+    }
+    if (lv.bass > 0.01 && s16 % 2 === 0) playNote(audio.stems.bass, 'sawtooth', chord[0] - 24, when, sixteenth * 1.6, 0.12, 420);
+    if (lv.drums > 0.01) {
+      if (s16 % 4 === 0) playKick(audio.stems.drums, when);
+      if (s16 === 4 || s16 === 12) playNoiseHit(audio.stems.drums, when, 0.14, 0.16, 'bandpass', 1800);
+      if (s16 % 2 === 1 || lv.drums > 0.7) playNoiseHit(audio.stems.drums, when, 0.04, 0.05, 'highpass', 7000);
+    }
+    if (lv.arp > 0.01) playNote(audio.stems.arp, 'square', chord[s16 % 3] + 12 + (s16 >= 8 ? 12 : 0), when, sixteenth * 0.8, 0.035, 2400);
+  }
+
+  function midiHz(n) { return 440 * Math.pow(2, (n - 69) / 12); }
+
+  function playNote(dest, type, midi, when, dur, vol, cutoff) {
+    const ctx = audio.ctx, osc = ctx.createOscillator(), g = ctx.createGain();
+    osc.type = type;
+    osc.frequency.setValueAtTime(midiHz(midi), when);
+    g.gain.setValueAtTime(0, when);
+    g.gain.linearRampToValueAtTime(vol, when + Math.min(0.02, dur * 0.2));
+    g.gain.exponentialRampToValueAtTime(0.0005, when + dur);
+    if (cutoff) {
+      const f = ctx.createBiquadFilter();
+      f.type = 'lowpass'; f.frequency.value = cutoff;
+      osc.connect(f).connect(g);
+    } else osc.connect(g);
+    g.connect(dest);
+    osc.start(when); osc.stop(when + dur + 0.05);
+  }
+
+  function playKick(dest, when) {
+    const ctx = audio.ctx, osc = ctx.createOscillator(), g = ctx.createGain();
+    osc.type = 'sine';
+    osc.frequency.setValueAtTime(130, when);
+    osc.frequency.exponentialRampToValueAtTime(42, when + 0.12);
+    g.gain.setValueAtTime(0.28, when);
+    g.gain.exponentialRampToValueAtTime(0.001, when + 0.25);
+    osc.connect(g).connect(dest);
+    osc.start(when); osc.stop(when + 0.3);
+  }
+
+  function playNoiseHit(dest, when, dur, vol, type, freq) {
+    const ctx = audio.ctx, src = ctx.createBufferSource(), f = ctx.createBiquadFilter(), g = ctx.createGain();
+    src.buffer = audio.noise;
+    f.type = type; f.frequency.value = freq;
+    g.gain.setValueAtTime(vol, when);
+    g.gain.exponentialRampToValueAtTime(0.001, when + dur);
+    src.connect(f).connect(g).connect(dest);
+    // Random offset so repeated hits don't phase on the same noise slice.
+    src.start(when, Math.random() * 1.5, dur + 0.02);
+  }
+
+  // End-of-run sting on the music bus: rising major arpeggio for a new best, falling minor otherwise.
+  function playSting(best) {
+    if (!audio.ctx || !game.settings.volMaster || !game.settings.volMusic) return;
+    const t = audio.ctx.currentTime + 0.05;
+    const notes = best ? [69, 73, 76, 81] : [69, 64, 60, 57];
+    notes.forEach((n, i) => playNote(audio.music, 'sawtooth', n, t + i * 0.11, i === 3 ? 0.9 : 0.22, 0.09, 2200));
   }
 
   function playTone(freq = 420, dur = 0.08, vol = 0.08) {
-    if (game.settings.sound === 'off') return;
-    if (!tone.ctx) tone.ctx = new AudioContext();
-    const osc = tone.ctx.createOscillator();
-    const g = tone.ctx.createGain();
+    if (!game.settings.volMaster || !game.settings.volSfx) return;
+    const ctx = ensureAudio();
+    if (!ctx) return;
+    const osc = ctx.createOscillator();
+    const g = ctx.createGain();
     osc.type = 'sawtooth'; osc.frequency.value = freq; g.gain.value = vol;
-    osc.connect(g).connect(tone.ctx.destination);
-    osc.start(); osc.stop(tone.ctx.currentTime + dur);
+    osc.connect(g).connect(audio.sfx);
+    osc.start(); osc.stop(ctx.currentTime + dur);
   }
 })();